@@ -0,0 +1,32 @@
+/* Paint catalogue - loaded with a script tag so it works offline and from file:// */
+
+PaintCatalog.register({
+    "id": "liquitex-basics",
+    "brand": "Liquitex BASICS",
+    "line": "Acrylic",
+    "note": "Colours are approximate sRGB renderings of the printed colour chart; check against a physical swatch before ordering.",
+    "paints": [
+        { "code": "432", "name": "Titanium White", "hex": "#f6f6f2" },
+        { "code": "276", "name": "Mars Black", "hex": "#1d1c1c" },
+        { "code": "599", "name": "Neutral Gray 5", "hex": "#777675" },
+        { "code": "830", "name": "Cadmium Yellow Medium Hue", "hex": "#f6b800" },
+        { "code": "412", "name": "Yellow Medium Azo", "hex": "#f7c218" },
+        { "code": "416", "name": "Yellow Oxide", "hex": "#c8902a" },
+        { "code": "720", "name": "Cadmium Orange Hue", "hex": "#ec6a1c" },
+        { "code": "151", "name": "Cadmium Red Medium Hue", "hex": "#c7262c" },
+        { "code": "292", "name": "Naphthol Crimson", "hex": "#a81c30" },
+        { "code": "335", "name": "Red Oxide", "hex": "#8a3424" },
+        { "code": "186", "name": "Dioxazine Purple", "hex": "#3b2259" },
+        { "code": "380", "name": "Ultramarine Blue", "hex": "#213a8f" },
+        { "code": "316", "name": "Phthalocyanine Blue", "hex": "#133a6e" },
+        { "code": "570", "name": "Brilliant Blue", "hex": "#1f77bd" },
+        { "code": "770", "name": "Light Blue Permanent", "hex": "#7fb7de" },
+        { "code": "317", "name": "Phthalocyanine Green", "hex": "#0d5a4a" },
+        { "code": "224", "name": "Hooker's Green Hue Permanent", "hex": "#2f5530" },
+        { "code": "312", "name": "Permanent Green Light", "hex": "#4aa54a" },
+        { "code": "330", "name": "Raw Sienna", "hex": "#a8642a" },
+        { "code": "127", "name": "Burnt Sienna", "hex": "#8a3f22" },
+        { "code": "331", "name": "Raw Umber", "hex": "#4d3b2a" },
+        { "code": "128", "name": "Burnt Umber", "hex": "#4a2c1f" }
+    ]
+});
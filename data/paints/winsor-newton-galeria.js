@@ -0,0 +1,26 @@
+/* Paint catalogue - loaded with a script tag so it works offline and from file:// */
+
+PaintCatalog.register({
+    "id": "winsor-newton-galeria",
+    "brand": "Winsor & Newton Galeria",
+    "line": "Acrylic",
+    "note": "Colours are approximate sRGB renderings of the printed colour chart; check against a physical swatch before ordering.",
+    "paints": [
+        { "code": "644", "name": "Titanium White", "hex": "#f5f4ef" },
+        { "code": "386", "name": "Mars Black", "hex": "#1e1d1d" },
+        { "code": "346", "name": "Lemon Yellow", "hex": "#f4dc1e" },
+        { "code": "120", "name": "Cadmium Yellow Medium Hue", "hex": "#f5b014" },
+        { "code": "744", "name": "Yellow Ochre", "hex": "#c48e35" },
+        { "code": "090", "name": "Cadmium Orange Hue", "hex": "#e8641e" },
+        { "code": "095", "name": "Cadmium Red Hue", "hex": "#c72a2a" },
+        { "code": "203", "name": "Crimson", "hex": "#9e1b34" },
+        { "code": "263", "name": "French Ultramarine", "hex": "#23348a" },
+        { "code": "514", "name": "Phthalo Blue", "hex": "#16386c" },
+        { "code": "138", "name": "Cerulean Blue Hue", "hex": "#2a7fb8" },
+        { "code": "599", "name": "Sap Green", "hex": "#4a6a2a" },
+        { "code": "552", "name": "Raw Sienna", "hex": "#a6662c" },
+        { "code": "074", "name": "Burnt Sienna", "hex": "#88402a" },
+        { "code": "554", "name": "Raw Umber", "hex": "#4f3d2b" },
+        { "code": "076", "name": "Burnt Umber", "hex": "#4b2e21" }
+    ]
+});
@@ -11,20 +11,60 @@ const App = {
         mode: 'single', // 'single' or 'batch'
         settings: {
             colorCount: 14,
+            paletteMode: 'auto', // 'auto' (k-means) or 'fixed'
+            fixedPalette: [],
+            paletteSubset: false,
+            paletteFormat: 'gpl',
+            paintBrand: '', // '' = none, catalogue id, or 'all'
+            mixingBase: [], // Base paints for mixing recipes
+            paintCoverage: 60, // cm² per ml per coat
+            paintCoats: 2,
+            showEstimates: false,
             complexity: 'high',
             minRegionSize: 100,
+            smallRegionMerge: 'border', // Small regions join the neighbour with the longest border, or 'color'
+            autoTune: false, // Search colours, complexity and min region size for the targets below
+            targetRegions: 300,
+            smallestRegion: null, // px; null = Min Region Size
             lineWidth: 1.5,
             lineOpacity: 1.0,
             showNumbers: true,
+            familyCodes: false, // Number colours as family letter + shade ("B3")
             numberSize: 12,
             numberOpacity: 1.0,
+            repeatNumbers: false,
+            numberSpacing: 200,
             showColors: false,
             backgroundColor: '#ffffff',
+            pageSize: 'a4',
+            coverPage: true,
+            posterWidth: 60,
+            usePrintSize: false,
+            printWidth: 300,
+            printHeight: null,
+            printUnit: 'mm',
+            printDpi: 300,
+            minPaintWidth: 0, // Brush width in mm; narrower parts of regions are absorbed
+            mergeDeltaE: 0, // K-means colours closer than this (CIEDE2000) become one; 0 = off
+            respendColors: false, // Merged-away colour slots go to badly matched hues
+            importance: 'none', // Subject weighting: 'none' | 'centre' | 'saliency' | 'mask'
+            tileOverlap: 10,
             geometricStyle: false,
             preserveDetails: false,
             maxSize: 1024
         },
-        batchProcessor: new BatchProcessor()
+        batchProcessor: new BatchProcessor(),
+        pipeline: new PipelineClient(),
+        paletteIO: new PaletteIO(),
+        history: new EditHistory(),
+        colorAdvice: null, // ColorQuantizer.recommendColorCount for the current image
+        selectedRegion: null, // Region id selected on the preview
+        importanceMask: null, // MaskPainter with the subject painted over the current image
+        detailMask: null, // MaskPainter with more (1) / less (-1) detail zones
+        maskStroke: null, // Last brush point while painting, in mask cells
+        cutMode: false,
+        cut: null, // Cut line being drawn, in template pixels
+        cancelRequested: false
     },
 
     // Preset configurations
@@ -35,6 +75,15 @@ const App = {
         expert: { colorCount: 16, complexity: 'extreme', minRegionSize: 50, lineWidth: 1, numberSize: 10 }
     },
 
+    // Brushes on the Original tab: which mask (state key) they paint, and with what
+    maskBrushes: {
+        subject: { layer: 'importanceMask', value: 1 },
+        eraseSubject: { layer: 'importanceMask', value: 0 },
+        moreDetail: { layer: 'detailMask', value: 1 },
+        lessDetail: { layer: 'detailMask', value: -1 },
+        eraseDetail: { layer: 'detailMask', value: 0 }
+    },
+
     /**
      * Initialize application
      */
@@ -43,6 +92,7 @@ const App = {
         console.log('📍 Current mode:', this.state.mode);
         console.log('⚙️  Settings:', this.state.settings);
 
+        this.populatePaintBrands();
         this.bindEvents();
         this.updateUI();
         this.waitForOpenCV();
@@ -109,6 +159,40 @@ const App = {
         document.getElementById('colorCountSlider').addEventListener('input', (e) => {
             this.state.settings.colorCount = parseInt(e.target.value);
             document.getElementById('colorCountValue').textContent = e.target.value;
+            this.renderColorAdvice();
+        });
+
+        document.getElementById('colorAdviceBtn').addEventListener('click', () => {
+            if (!this.state.colorAdvice) return;
+            this.setColorCount(this.state.colorAdvice.recommended);
+        });
+
+        document.getElementById('paletteModeSelect').addEventListener('change', (e) => {
+            this.state.settings.paletteMode = e.target.value;
+            document.getElementById('fixedPaletteControls').hidden = e.target.value !== 'fixed';
+        });
+
+        document.getElementById('paletteInput').addEventListener('input', (e) => {
+            // Half-typed JSON does not parse; keep the last valid palette meanwhile
+            let colors;
+            try {
+                colors = this.state.paletteIO.parse(e.target.value);
+            } catch (error) {
+                e.target.classList.add('invalid');
+                document.getElementById('paletteCountValue').textContent = 'Invalid palette';
+                return;
+            }
+            e.target.classList.remove('invalid');
+            this.setFixedPalette(colors);
+        });
+
+        document.getElementById('paletteFileInput').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.importPalette(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('paletteSubsetCheck').addEventListener('change', (e) => {
+            this.state.settings.paletteSubset = e.target.checked;
         });
 
         document.getElementById('complexitySelect').addEventListener('change', (e) => {
@@ -120,9 +204,31 @@ const App = {
             document.getElementById('minRegionValue').textContent = e.target.value + ' px';
         });
 
+        document.getElementById('importanceSelect').addEventListener('change', (e) => {
+            this.state.settings.importance = e.target.value;
+        });
+
+        document.getElementById('smallRegionMergeSelect').addEventListener('change', (e) => {
+            this.state.settings.smallRegionMerge = e.target.value;
+        });
+
+        document.getElementById('autoTuneCheck').addEventListener('change', (e) => {
+            this.state.settings.autoTune = e.target.checked;
+        });
+
+        document.getElementById('targetRegionsInput').addEventListener('change', (e) => {
+            const target = parseInt(e.target.value);
+            this.state.settings.targetRegions = target > 0 ? target : null;
+        });
+
+        document.getElementById('smallestRegionInput').addEventListener('change', (e) => {
+            const size = parseInt(e.target.value);
+            this.state.settings.smallestRegion = size > 0 ? size : null;
+        });
+
         document.getElementById('lineWidthSlider').addEventListener('input', (e) => {
             this.state.settings.lineWidth = parseFloat(e.target.value);
-            document.getElementById('lineWidthValue').textContent = e.target.value + ' px';
+            document.getElementById('lineWidthValue').textContent = e.target.value + this.lineWidthUnit();
         });
 
         document.getElementById('numberSizeSlider').addEventListener('input', (e) => {
@@ -134,6 +240,11 @@ const App = {
             this.state.settings.showNumbers = e.target.checked;
         });
 
+        document.getElementById('familyCodesCheck').addEventListener('change', (e) => {
+            this.state.settings.familyCodes = e.target.checked;
+            if (this.state.currentResult) this.redraw(this.activeTab());
+        });
+
         document.getElementById('showColorsCheck').addEventListener('change', (e) => {
             this.state.settings.showColors = e.target.checked;
         });
@@ -153,6 +264,106 @@ const App = {
             document.getElementById('numberOpacityValue').textContent = Math.round(e.target.value * 100) + '%';
         });
 
+        document.getElementById('repeatNumbersCheck').addEventListener('change', (e) => {
+            this.state.settings.repeatNumbers = e.target.checked;
+        });
+
+        document.getElementById('numberSpacingSlider').addEventListener('input', (e) => {
+            this.state.settings.numberSpacing = parseInt(e.target.value);
+            document.getElementById('numberSpacingValue').textContent = e.target.value + ' px';
+        });
+
+        document.getElementById('usePrintSizeCheck').addEventListener('change', (e) => {
+            this.state.settings.usePrintSize = e.target.checked;
+            document.getElementById('lineWidthValue').textContent = this.state.settings.lineWidth + this.lineWidthUnit();
+        });
+
+        document.getElementById('printWidthInput').addEventListener('input', (e) => {
+            this.state.settings.printWidth = parseFloat(e.target.value) || null;
+        });
+
+        document.getElementById('printHeightInput').addEventListener('input', (e) => {
+            this.state.settings.printHeight = parseFloat(e.target.value) || null;
+        });
+
+        document.getElementById('printUnitSelect').addEventListener('change', (e) => {
+            this.state.settings.printUnit = e.target.value;
+        });
+
+        document.getElementById('printDpiSelect').addEventListener('change', (e) => {
+            this.state.settings.printDpi = parseInt(e.target.value);
+        });
+
+        document.getElementById('minPaintWidthInput').addEventListener('change', (e) => {
+            const width = parseFloat(e.target.value);
+            this.state.settings.minPaintWidth = width > 0 ? width : 0;
+        });
+
+        document.getElementById('mergeDeltaEInput').addEventListener('change', (e) => {
+            const deltaE = parseFloat(e.target.value);
+            this.state.settings.mergeDeltaE = deltaE > 0 ? deltaE : 0;
+        });
+
+        document.getElementById('respendColorsCheck').addEventListener('change', (e) => {
+            this.state.settings.respendColors = e.target.checked;
+        });
+
+        document.getElementById('paintBrandSelect').addEventListener('change', (e) => {
+            this.state.settings.paintBrand = e.target.value;
+            this.refreshLegend();
+        });
+
+        document.getElementById('mixingInput').addEventListener('change', (e) => {
+            let colors;
+            try {
+                colors = this.state.paletteIO.parse(e.target.value);
+            } catch (error) {
+                Utils.showToast(`Could not read mixing paints: ${error.message}`, 'error');
+                return;
+            }
+            this.state.settings.mixingBase = colors;
+            document.getElementById('mixingCountValue').textContent = `${colors.length} paints`;
+            this.refreshLegend();
+        });
+
+        document.getElementById('paintCoverageInput').addEventListener('change', (e) => {
+            const coverage = parseFloat(e.target.value);
+            if (coverage > 0) this.state.settings.paintCoverage = coverage;
+            this.refreshLegend();
+        });
+
+        document.getElementById('paintCoatsSelect').addEventListener('change', (e) => {
+            this.state.settings.paintCoats = parseInt(e.target.value);
+            this.refreshLegend();
+        });
+
+        document.getElementById('showEstimatesCheck').addEventListener('change', (e) => {
+            this.state.settings.showEstimates = e.target.checked;
+            this.refreshLegend();
+        });
+
+        document.getElementById('paletteFormatSelect').addEventListener('change', (e) => {
+            this.state.settings.paletteFormat = e.target.value;
+        });
+
+        document.getElementById('pageSizeSelect').addEventListener('change', (e) => {
+            this.state.settings.pageSize = e.target.value;
+        });
+
+        document.getElementById('posterWidthSlider').addEventListener('input', (e) => {
+            this.state.settings.posterWidth = parseInt(e.target.value);
+            document.getElementById('posterWidthValue').textContent = e.target.value + ' cm';
+        });
+
+        document.getElementById('tileOverlapSlider').addEventListener('input', (e) => {
+            this.state.settings.tileOverlap = parseInt(e.target.value);
+            document.getElementById('tileOverlapValue').textContent = e.target.value + ' mm';
+        });
+
+        document.getElementById('coverPageCheck').addEventListener('change', (e) => {
+            this.state.settings.coverPage = e.target.checked;
+        });
+
         document.getElementById('geometricStyleCheck').addEventListener('change', (e) => {
             this.state.settings.geometricStyle = e.target.checked;
         });
@@ -168,8 +379,80 @@ const App = {
         document.getElementById('downloadLegendBtn').addEventListener('click', () => this.downloadLegend());
         document.getElementById('downloadAllBtn').addEventListener('click', () => this.downloadAll());
         document.getElementById('downloadCleanBtn').addEventListener('click', () => this.downloadClean());
+        document.getElementById('downloadPdfBtn').addEventListener('click', () => this.downloadPDF());
+        document.getElementById('downloadTilesPdfBtn').addEventListener('click', () => this.downloadTiles('pdf'));
+        document.getElementById('downloadTilesZipBtn').addEventListener('click', () => this.downloadTiles('zip'));
+        document.getElementById('downloadPaletteBtn').addEventListener('click', () => this.downloadPalette());
+        document.getElementById('downloadShoppingListBtn').addEventListener('click', () => this.downloadShoppingList());
+        document.getElementById('downloadEstimatesBtn').addEventListener('click', () => this.downloadEstimates());
+        // Region editing on the preview
+        const overlay = document.getElementById('regionOverlay');
+        overlay.addEventListener('pointerdown', (e) => this.onOverlayPointerDown(e));
+        overlay.addEventListener('pointermove', (e) => this.onOverlayPointerMove(e));
+        overlay.addEventListener('pointerup', () => this.onOverlayPointerUp());
+
+        // Mask painting on the original
+        const maskOverlay = document.getElementById('maskOverlay');
+        maskOverlay.addEventListener('pointerdown', (e) => this.onMaskPointerDown(e));
+        maskOverlay.addEventListener('pointermove', (e) => this.onMaskPointerMove(e));
+        maskOverlay.addEventListener('pointerup', () => this.onMaskPointerUp());
+
+        document.getElementById('maskClearBtn').addEventListener('click', () => {
+            const brush = this.maskBrushes[document.getElementById('maskBrushSelect').value];
+            if (this.state[brush.layer]) this.state[brush.layer].clear();
+            this.drawMaskOverlay();
+        });
+
+        document.getElementById('regionMergeSelect').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            const id = this.state.selectedRegion;
+            const intoId = parseInt(e.target.value);
+            // Joining same-colour neighbours can give the grown region another
+            // label, so select whatever ends up at one of its pixels
+            const { labelMap, width } = this.state.currentResult;
+            const pixel = labelMap.indexOf(intoId);
+            if (this.editRegion(editor => editor.merge(id, intoId))) {
+                const merged = new RegionEditor(this.state.currentResult).regionAt(pixel % width, Math.floor(pixel / width));
+                this.selectRegion(merged ? merged.id : null);
+            }
+        });
+
+        document.getElementById('regionColorSelect').addEventListener('change', (e) => {
+            const id = this.state.selectedRegion;
+            const colorId = parseInt(e.target.value);
+            this.editRegion(editor => editor.recolor(id, colorId));
+        });
+
+        document.getElementById('regionCutBtn').addEventListener('click', () => {
+            this.setCutMode(!this.state.cutMode);
+            this.drawRegionOverlay();
+        });
+
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) this.redo();
+                else this.undo();
+            } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+                e.preventDefault();
+                this.redo();
+            } else if (key === 'escape' && this.state.selectedRegion !== null) {
+                this.selectRegion(null);
+            }
+        });
+
+        document.getElementById('renumberBtn').addEventListener('click', () => {
+            const order = document.getElementById('renumberSelect').value;
+            this.editPalette(editor => editor.renumber(order));
+        });
         document.getElementById('resetBtn').addEventListener('click', () => this.reset());
         document.getElementById('removeImageBtn').addEventListener('click', () => this.removeImage());
+        document.getElementById('cancelBtn').addEventListener('click', () => this.cancelProcessing());
 
         // Tabs
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -204,9 +487,13 @@ const App = {
             try {
                 const image = await Utils.loadImageFromFile(file);
                 this.state.currentImage = image;
+                this.state.importanceMask = null;
+                this.state.detailMask = null;
                 this.displayOriginalImage(image);
+                if (this.activeTab() === 'original') this.switchTab('original');
                 document.getElementById('generateBtn').disabled = false;
                 Utils.showToast('Image loaded successfully', 'success');
+                this.adviseColorCount(image);
             } catch (error) {
                 Utils.showToast('Error loading image', 'error');
                 console.error(error);
@@ -218,6 +505,73 @@ const App = {
         }
     },
 
+    /**
+     * Analyse a newly loaded image for a suggested number of colours
+     * @param {HTMLImageElement} image
+     */
+    async adviseColorCount(image) {
+        // Let the page show the image before the analysis runs
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (this.state.currentImage !== image) return;
+
+        const slider = document.getElementById('colorCountSlider');
+        const sample = Utils.getImageData(image, 200);
+        this.state.colorAdvice = new ColorQuantizer().recommendColorCount(sample, {
+            maxK: parseInt(slider.max),
+            minColors: parseInt(slider.min),
+            maxColors: parseInt(slider.max)
+        });
+        this.renderColorAdvice();
+    },
+
+    /**
+     * Chart of k-means error against the number of colours, with the
+     * suggested count and the current setting marked
+     */
+    renderColorAdvice() {
+        const container = document.getElementById('colorAdvice');
+        const advice = this.state.colorAdvice;
+        container.hidden = !advice || advice.rows.length < 2;
+        if (container.hidden) return;
+
+        const { rows, recommended } = advice;
+        const width = 200;
+        const height = 48;
+        const pad = 4;
+        const minK = rows[0].k;
+        const maxK = rows[rows.length - 1].k;
+        const maxError = Math.max(...rows.map(row => row.error));
+        const x = k => pad + (k - minK) / (maxK - minK) * (width - 2 * pad);
+        const y = error => height - pad - error / maxError * (height - 2 * pad);
+
+        const row = rows.find(r => r.k === recommended);
+        const points = rows.map(r => `${x(r.k).toFixed(1)},${y(r.error).toFixed(1)}`).join(' ');
+        const current = this.state.settings.colorCount;
+        const marker = current >= minK && current <= maxK
+            ? `<line class="current-marker" x1="${x(current)}" y1="0" x2="${x(current)}" y2="${height}"/>`
+            : '';
+        document.getElementById('colorAdviceChart').innerHTML = `
+            ${marker}
+            <polyline class="error-line" points="${points}"/>
+            ${row ? `<circle class="recommended-marker" cx="${x(row.k)}" cy="${y(row.error)}" r="2.5"/>` : ''}
+        `;
+
+        document.getElementById('colorAdviceText').textContent = row
+            ? `Suggested: ${recommended} colours (closest two ΔE ${row.minDeltaE.toFixed(0)})`
+            : `Suggested: ${recommended} colours`;
+        document.getElementById('colorAdviceBtn').disabled = current === recommended;
+    },
+
+    /**
+     * @param {number} count - Number of colours for the next generation
+     */
+    setColorCount(count) {
+        this.state.settings.colorCount = count;
+        document.getElementById('colorCountSlider').value = count;
+        document.getElementById('colorCountValue').textContent = count;
+        this.renderColorAdvice();
+    },
+
     /**
      * Display original image
      */
@@ -236,7 +590,11 @@ const App = {
      */
     removeImage() {
         this.state.currentImage = null;
+        this.state.importanceMask = null;
+        this.state.detailMask = null;
         this.state.currentResult = null;
+        this.state.colorAdvice = null;
+        this.renderColorAdvice();
 
         document.getElementById('imagePreviewContainer').hidden = true;
         document.getElementById('uploadPlaceholder').hidden = false;
@@ -285,11 +643,12 @@ const App = {
         // Update UI
         document.getElementById('colorCountSlider').value = preset.colorCount;
         document.getElementById('colorCountValue').textContent = preset.colorCount;
+        this.renderColorAdvice();
         document.getElementById('complexitySelect').value = preset.complexity;
         document.getElementById('minRegionSlider').value = preset.minRegionSize;
         document.getElementById('minRegionValue').textContent = preset.minRegionSize + ' px';
         document.getElementById('lineWidthSlider').value = preset.lineWidth;
-        document.getElementById('lineWidthValue').textContent = preset.lineWidth + ' px';
+        document.getElementById('lineWidthValue').textContent = preset.lineWidth + this.lineWidthUnit();
         document.getElementById('numberSizeSlider').value = preset.numberSize;
         document.getElementById('numberSizeValue').textContent = preset.numberSize + ' pt';
 
@@ -312,26 +671,116 @@ const App = {
         Utils.showToast(`Applied ${presetName} preset`, 'info', 2000);
     },
 
+    /**
+     * Options for the processing pipeline: the fixed palette only
+     * applies in 'fixed' palette mode
+     * @returns {Object}
+     */
+    getProcessingOptions() {
+        const settings = this.state.settings;
+        return {
+            ...settings,
+            fixedPalette: settings.paletteMode === 'fixed' ? settings.fixedPalette : null,
+            importanceMask: settings.importance === 'mask' ? this.maskData('importanceMask') : null,
+            detailMask: this.maskData('detailMask'),
+            printSize: this.getPrintSize()
+        };
+    },
+
+    /**
+     * A painted mask ready for the worker
+     * @param {string} layer - State key of the mask
+     * @returns {Object|null} MaskPainter.toJSON, or null when nothing is painted
+     */
+    maskData(layer) {
+        const mask = this.state[layer];
+        return mask && !mask.isEmpty() ? mask.toJSON() : null;
+    },
+
+    /**
+     * Fixed palette mode needs some colours to map to
+     * @returns {boolean} Whether processing can go ahead
+     */
+    checkPalette() {
+        const { paletteMode, fixedPalette } = this.state.settings;
+        if (paletteMode === 'fixed' && fixedPalette.length === 0) {
+            Utils.showToast('Add some paint colours for the fixed palette first', 'warning');
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Set the fixed palette and update its count
+     * @param {Array<{hex: string, name: string}>} colors
+     */
+    setFixedPalette(colors) {
+        this.state.settings.fixedPalette = colors;
+        document.getElementById('paletteCountValue').textContent = `${colors.length} colors`;
+    },
+
+    /**
+     * Import a palette file into the fixed palette
+     * @param {File} file
+     */
+    async importPalette(file) {
+        try {
+            const colors = await this.state.paletteIO.readFile(file);
+            document.getElementById('paletteInput').value = colors.map(c => `${c.hex} ${c.name}`).join('\n');
+            document.getElementById('paletteInput').classList.remove('invalid');
+            this.setFixedPalette(colors);
+            Utils.showToast(`Imported ${colors.length} colors from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('Palette import error:', error);
+            Utils.showToast(`Could not import palette: ${error.message}`, 'error');
+        }
+    },
+
     /**
      * Generate paint-by-numbers
      */
     async generate() {
         if (!this.state.currentImage) return;
+        if (!this.checkPalette()) return;
 
         const loadingOverlay = document.getElementById('loadingOverlay');
         const loadingText = document.getElementById('loadingText');
         const loadingSubtext = document.getElementById('loadingSubtext');
         const progressBar = document.getElementById('progressBar');
 
+        if (this.state.settings.importance === 'mask' && !this.maskData('importanceMask')) {
+            Utils.showToast('Paint the subject on the Original tab for Subject Emphasis; generating without it', 'warning');
+        }
+
         try {
             loadingOverlay.hidden = false;
+            loadingText.textContent = 'Processing...';
+            progressBar.style.width = '0%';
 
-            const processor = new WatershedProcessor();
             const imageData = Utils.getImageData(this.state.currentImage, this.state.settings.maxSize);
 
-            const result = await processor.process(
+            const options = this.getProcessingOptions();
+
+            let tuned = null;
+            if (this.state.settings.autoTune) {
+                loadingText.textContent = 'Auto-tuning...';
+                tuned = await this.autoTune(this.state.currentImage, imageData.width, options, (trial) => {
+                    progressBar.style.width = (trial.trial / trial.maxTrials * 100) + '%';
+                    loadingSubtext.textContent = `Trial ${trial.trial}: ${trial.regions} regions`;
+                });
+                loadingText.textContent = 'Processing...';
+            }
+
+            // Tuned values are for this run only: the settings stay the
+            // user's, so the next search starts from the same floor
+            if (tuned) {
+                const { colorCount, complexity, minRegionSize } = tuned;
+                Object.assign(options, { colorCount, complexity, minRegionSize });
+            }
+
+            const result = await this.state.pipeline.process(
                 imageData,
-                this.state.settings,
+                options,
                 (progress) => {
                     progressBar.style.width = progress.percent + '%';
                     loadingSubtext.textContent = progress.message;
@@ -354,23 +803,27 @@ const App = {
                 return;
             }
 
+            // Keep the source pixels for the palette editor, and the tuned
+            // minimum size for tracing regions again after edits
+            result.imageData = imageData;
+            result.tuning = tuned;
+
             // Generate SVG
             console.log('🖼️ Generating SVG...');
-            const svgGen = new SVGGenerator();
-            const svg = svgGen.generateSVG(result.regions, result.palette, {
-                ...this.state.settings,
-                smoothPaths: !this.state.settings.geometricStyle,
-                width: result.width,
-                height: result.height
-            });
+            const svg = this.renderTemplate(result);
             console.log('✅ SVG generated, length:', svg.length);
 
             // Generate legend
-            const legend = svgGen.generateLegend(result.palette);
+            const legend = this.buildLegend(result);
             console.log('✅ Legend generated, length:', legend.length);
 
             // Display result
             this.displayResult(svg, legend);
+            this.renderPaletteEditor();
+            this.state.history.clear();
+            this.updateHistoryButtons();
+            this.selectRegion(null);
+            document.getElementById('regionToolbar').hidden = false;
             console.log('✅ Display result called');
 
             // Enable download buttons
@@ -379,10 +832,24 @@ const App = {
             document.getElementById('downloadLegendBtn').disabled = false;
             document.getElementById('downloadAllBtn').disabled = false;
             document.getElementById('downloadCleanBtn').disabled = false;
+            document.getElementById('downloadPdfBtn').disabled = false;
+            document.getElementById('downloadTilesPdfBtn').disabled = false;
+            document.getElementById('downloadTilesZipBtn').disabled = false;
+            document.getElementById('downloadPaletteBtn').disabled = false;
+            document.getElementById('downloadShoppingListBtn').disabled = false;
+            document.getElementById('downloadEstimatesBtn').disabled = false;
 
             Utils.showToast('Paint-by-numbers generated successfully!', 'success');
+            if (tuned) this.reportTuning(tuned, result);
+            this.reportSlivers(result);
+            this.reportColorMerges(result);
+            this.checkQuality(result);
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                Utils.showToast('Generation cancelled', 'info');
+                return;
+            }
             console.error('Generation error:', error);
             Utils.showToast('Error generating paint-by-numbers', 'error');
         } finally {
@@ -390,21 +857,161 @@ const App = {
         }
     },
 
+    /**
+     * Search colour count, complexity and min region size for the auto-tune
+     * targets, with trial runs on a small proxy of the image
+     * @param {HTMLImageElement} image
+     * @param {number} fullWidth - Width the full generation runs at
+     * @param {Object} options - Processing options of the full generation
+     * @param {Function} onTrial - Progress, see RegionTuner.tune
+     * @returns {Promise<Object>} From RegionTuner.tune
+     */
+    async autoTune(image, fullWidth, options, onTrial = null) {
+        const { settings } = this.state;
+        const proxySize = Math.min(settings.maxSize, 384);
+        const proxy = Utils.getImageData(image, proxySize);
+
+        const tuner = new RegionTuner(
+            trialOptions => this.state.pipeline.process(proxy, { ...trialOptions, maxSize: proxySize }),
+            { maxColors: parseInt(document.getElementById('colorCountSlider').max) }
+        );
+        return tuner.tune(options, {
+            regions: settings.targetRegions,
+            smallestRegion: settings.smallestRegion,
+            scale: proxy.width / fullWidth,
+            // A fixed palette uses all of its paints
+            tuneColors: settings.paletteMode !== 'fixed' || settings.paletteSubset
+        }, onTrial);
+    },
+
+    /**
+     * Compare the final region count with the auto-tune target
+     * @param {Object} tuned - From autoTune()
+     * @param {Object} result - Full-resolution result
+     */
+    reportTuning(tuned, result) {
+        const target = this.state.settings.targetRegions;
+        const settings = `${tuned.colorCount} colours, ${tuned.complexity} complexity, ${tuned.minRegionSize} px min region`;
+        if (!target) {
+            Utils.showToast(`Auto-tuned: ${settings}`, 'info', 5000);
+            return;
+        }
+        Utils.showToast(
+            `Auto-tuned to ${result.regions.length} regions (target ${target}) with ${settings}`,
+            tuned.reached ? 'info' : 'warning',
+            6000
+        );
+    },
+
+    /**
+     * Say how many regions too narrow for the brush were absorbed
+     * @param {Object} result - Processing result
+     */
+    reportSlivers(result) {
+        const { slivers } = result;
+        if (!slivers || slivers.regions + slivers.parts === 0) return;
+
+        const parts = [];
+        if (slivers.regions > 0) parts.push(`${slivers.regions} sliver region${slivers.regions === 1 ? '' : 's'}`);
+        if (slivers.parts > 0) parts.push(`${slivers.parts} narrow part${slivers.parts === 1 ? '' : 's'}`);
+        Utils.showToast(
+            `Absorbed ${parts.join(' and ')} narrower than the ${this.state.settings.minPaintWidth} mm brush`,
+            'info',
+            5000
+        );
+    },
+
+    /**
+     * Say which near-duplicate colours were merged after quantization, and
+     * how many new colours took their slots
+     * @param {Object} result - Processing result
+     */
+    reportColorMerges(result) {
+        const { colorMerges } = result;
+        if (!colorMerges || colorMerges.merged.length === 0) return;
+
+        const pairs = colorMerges.merged.map(merge => `${merge.colors.join(' + ')} (ΔE ${merge.deltaE.toFixed(1)})`);
+        const added = colorMerges.added.length > 0
+            ? `; added ${colorMerges.added.map(id => result.palette[id - 1].hex).join(', ')} for missing hues`
+            : '';
+        Utils.showToast(
+            `Merged ${pairs.length} near-duplicate colour${pairs.length === 1 ? '' : 's'}: ${pairs.join(', ')}${added}`,
+            'info',
+            6000
+        );
+    },
+
+    /**
+     * Warn when touching regions got colours too close to tell apart when
+     * painting; merging those colours in the Palette tab fixes it
+     * @param {Object} result - Processing result with adjacency
+     */
+    checkQuality(result) {
+        if (!result.adjacency) return;
+
+        const pairs = result.adjacency.similarNeighbours(result.labelColors, result.palette);
+        if (pairs.length === 0) return;
+
+        const colorPairs = new Map();
+        pairs.forEach(pair => {
+            const key = pair.colors.slice().sort((a, b) => a - b).join(' and ');
+            colorPairs.set(key, (colorPairs.get(key) || 0) + 1);
+        });
+        const [closest] = colorPairs.keys();
+        const more = colorPairs.size > 1 ? ` (and ${colorPairs.size - 1} more pair${colorPairs.size === 2 ? '' : 's'})` : '';
+        Utils.showToast(
+            `Colours ${closest}${more} are nearly identical but touch in ${colorPairs.get(closest)} place${colorPairs.get(closest) === 1 ? '' : 's'}; consider merging them in the Palette tab`,
+            'warning',
+            8000
+        );
+    },
+
+    /**
+     * Cancel the running generation or batch
+     */
+    cancelProcessing() {
+        this.state.cancelRequested = true;
+        this.state.pipeline.cancel();
+        document.getElementById('loadingSubtext').textContent = 'Cancelling...';
+    },
+
+    /**
+     * Template SVG for a result with the current settings
+     * @param {Object} result - Processing result
+     * @returns {string}
+     */
+    renderTemplate(result) {
+        return new SVGGenerator().generateSVG(result.regions, result.palette, {
+            ...this.state.settings,
+            smoothPaths: !this.state.settings.geometricStyle,
+            edges: result.edges,
+            adjacency: result.adjacency,
+            printSize: this.getPrintSize(),
+            width: result.width,
+            height: result.height
+        });
+    },
+
     /**
      * Display result
+     * @param {string} svg
+     * @param {string} legend
+     * @param {string} tab - Tab to show afterwards
      */
-    displayResult(svg, legend) {
+    displayResult(svg, legend, tab = 'result') {
         console.log('🖥️ displayResult called');
         const canvas = document.getElementById('previewCanvas');
         const ctx = canvas.getContext('2d');
+        const { width, height } = this.state.currentResult;
 
         // Convert SVG to image
         const img = new Image();
         img.onload = () => {
             console.log('✅ SVG image loaded:', img.width, 'x', img.height);
-            canvas.width = img.width;
-            canvas.height = img.height;
-            ctx.drawImage(img, 0, 0);
+            // Preview at the template's pixel size, whatever its print size
+            canvas.width = width;
+            canvas.height = height;
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
             URL.revokeObjectURL(img.src);
             console.log('✅ Canvas updated!');
         };
@@ -439,8 +1046,7 @@ const App = {
         const legendBlob = new Blob([legend], { type: 'image/svg+xml' });
         legendImg.src = URL.createObjectURL(legendBlob);
 
-        // Switch to result tab
-        this.switchTab('result');
+        this.switchTab(tab);
     },
 
     /**
@@ -454,6 +1060,12 @@ const App = {
         document.getElementById('previewCanvas').hidden = tab !== 'result';
         document.getElementById('originalCanvas').hidden = tab !== 'original';
         document.getElementById('legendContainer').hidden = tab !== 'legend';
+        document.getElementById('paletteEditor').hidden = tab !== 'palette';
+        document.getElementById('regionOverlay').hidden = tab !== 'result' || !this.state.currentResult;
+
+        const painting = tab === 'original' && !!this.state.currentImage;
+        document.getElementById('maskOverlay').hidden = !painting;
+        document.getElementById('maskToolbar').hidden = !painting;
 
         if (tab === 'original' && this.state.currentImage) {
             const canvas = document.getElementById('originalCanvas');
@@ -461,6 +1073,7 @@ const App = {
             canvas.width = this.state.currentImage.width;
             canvas.height = this.state.currentImage.height;
             ctx.drawImage(this.state.currentImage, 0, 0);
+            this.drawMaskOverlay();
         }
     },
 
@@ -475,9 +1088,12 @@ const App = {
     /**
      * Download PNG
      */
-    downloadPNG() {
+    async downloadPNG() {
         if (!this.state.currentResult) return;
-        const canvas = document.getElementById('previewCanvas');
+        const result = this.state.currentResult;
+        const canvas = this.getPrintSize()
+            ? await this.renderToCanvas(result.svg, result)
+            : document.getElementById('previewCanvas');
         Utils.downloadCanvas(canvas, 'paint-by-numbers.png');
     },
 
@@ -500,22 +1116,635 @@ const App = {
         const cleanSvg = svgGen.generateSVG(result.regions, result.palette, {
             ...this.state.settings,
             smoothPaths: !this.state.settings.geometricStyle,
+            edges: result.edges,
+            printSize: this.getPrintSize(),
             showNumbers: false,
             width: result.width,
             height: result.height
         });
 
-        const img = await this.svgToImage(cleanSvg);
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
+        const canvas = await this.renderToCanvas(cleanSvg, result);
 
         Utils.downloadCanvas(canvas, 'paint-by-numbers-clean.png');
         Utils.showToast('Downloaded clean painting template!', 'success');
     },
 
+    /**
+     * Download PDF - vector template and legend on print pages
+     */
+    downloadPDF() {
+        if (!this.state.currentResult || !this.state.currentResult.svg) return;
+
+        const result = this.state.currentResult;
+        const { pageSize, coverPage } = this.state.settings;
+
+        try {
+            const pdf = new PDFExporter().export({
+                svg: result.svg,
+                legend: result.legend,
+                pageSize,
+                coverPage,
+                thumbnail: this.state.currentImage
+            });
+            Utils.downloadBlob(pdf, 'paint-by-numbers.pdf');
+            Utils.showToast('Downloaded PDF!', 'success');
+        } catch (error) {
+            console.error('PDF export error:', error);
+            Utils.showToast('Error exporting PDF', 'error');
+        }
+    },
+
+    /**
+     * Download the template split into page-sized poster tiles
+     * @param {string} format - 'pdf' (one tile per page) or 'zip' (one SVG per tile)
+     */
+    async downloadTiles(format) {
+        if (!this.state.currentResult || !this.state.currentResult.svg) return;
+
+        const { pageSize, posterWidth, tileOverlap } = this.state.settings;
+        const result = this.state.currentResult;
+        // A print size, when set, decides the poster size
+        const printSize = this.getPrintSize();
+        const physical = printSize ? printSize.resolve(result.width, result.height) : null;
+        const options = {
+            pageSize,
+            posterWidth: physical ? physical.widthIn * 25.4 : posterWidth * 10,
+            overlap: tileOverlap,
+            orientation: result.width > result.height ? 'landscape' : 'portrait'
+        };
+
+        try {
+            const exporter = new TileExporter();
+            if (format === 'zip') {
+                const zip = await exporter.exportZip(result.svg, options);
+                Utils.downloadBlob(zip, 'paint-by-numbers-tiles.zip');
+            } else {
+                Utils.downloadBlob(exporter.exportPDF(result.svg, options), 'paint-by-numbers-tiles.pdf');
+            }
+            Utils.showToast('Downloaded poster tiles!', 'success');
+        } catch (error) {
+            console.error('Tile export error:', error);
+            Utils.showToast('Error exporting tiles', 'error');
+        }
+    },
+
+    /**
+     * Download the result palette as a swatch file
+     */
+    async downloadPalette() {
+        if (!this.state.currentResult) return;
+
+        const format = this.state.settings.paletteFormat;
+        try {
+            const blob = await this.state.paletteIO.export(this.state.currentResult.palette, format, 'Paint by Numbers');
+            Utils.downloadBlob(blob, `paint-by-numbers-palette.${PaletteIO.FORMATS[format].extension}`);
+            Utils.showToast('Downloaded palette!', 'success');
+        } catch (error) {
+            console.error('Palette export error:', error);
+            Utils.showToast(`Could not export palette: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Fill the paint brand select from the registered catalogues
+     */
+    populatePaintBrands() {
+        const select = document.getElementById('paintBrandSelect');
+        PaintCatalog.list().forEach(catalog => {
+            const option = document.createElement('option');
+            option.value = catalog.id;
+            option.textContent = `${catalog.brand} (${catalog.line})`;
+            select.insertBefore(option, select.lastElementChild);
+        });
+    },
+
+    /**
+     * Nearest catalogue paints for a palette, or null when no brand is chosen
+     * @param {Array} palette
+     * @returns {Map|null}
+     */
+    matchPaints(palette) {
+        const brand = this.state.settings.paintBrand;
+        return brand ? new PaintCatalog().match(palette, brand) : null;
+    },
+
+    /**
+     * Mixing recipes from the base paints, or null when none are given
+     * @param {Array} palette
+     * @returns {Map|null}
+     */
+    mixRecipes(palette) {
+        const base = this.state.settings.mixingBase;
+        return base.length > 0 ? new PaintMixer(base).recipes(palette) : null;
+    },
+
+    /**
+     * Paint area, quantity and time per colour for a result
+     * @param {Object} result - Processing result
+     * @returns {Object} From PaintEstimator.estimate()
+     */
+    estimatePaint(result) {
+        const { paintCoverage, paintCoats } = this.state.settings;
+        return new PaintEstimator({ coverage: paintCoverage, coats: paintCoats }).estimate(
+            result.regions, result.palette,
+            { width: result.width, height: result.height, printSize: this.getPrintSize() }
+        );
+    },
+
+    /**
+     * Legend SVG with the current paint matches, recipes and estimates,
+     * which are kept on the result for the CSV downloads
+     * @param {Object} result - Processing result
+     * @returns {string}
+     */
+    buildLegend(result) {
+        result.paintMatches = this.matchPaints(result.palette);
+        result.mixRecipes = this.mixRecipes(result.palette);
+        result.paintEstimate = this.estimatePaint(result);
+
+        const estimates = this.state.settings.showEstimates
+            ? new Map(result.paintEstimate.rows.map(row => [row.id, row]))
+            : null;
+
+        return new SVGGenerator().generateLegend(result.palette, {
+            matches: result.paintMatches,
+            recipes: result.mixRecipes,
+            estimates,
+            familyCodes: this.state.settings.familyCodes
+        });
+    },
+
+    /**
+     * Rebuild the legend after the paint brand, mixing paints or estimate settings change
+     */
+    refreshLegend() {
+        const result = this.state.currentResult;
+        if (!result || !result.svg) return;
+
+        this.displayResult(result.svg, this.buildLegend(result));
+    },
+
+    /**
+     * Download the shopping list of matched catalogue paints as CSV
+     */
+    downloadShoppingList() {
+        const result = this.state.currentResult;
+        if (!result) return;
+
+        if (!result.paintMatches || result.paintMatches.size === 0) {
+            Utils.showToast('Choose a paint brand first', 'warning');
+            return;
+        }
+
+        const csv = new PaintCatalog().shoppingListCSV(result.palette, result.paintMatches);
+        Utils.downloadBlob(new Blob([csv], { type: 'text/csv' }), 'paint-shopping-list.csv');
+        Utils.showToast('Downloaded shopping list!', 'success');
+    },
+
+    /**
+     * Apply a palette edit to the current result and redraw it
+     * @param {Function} edit - Receives a PaletteEditor
+     */
+    editPalette(edit) {
+        this.applyEdit(result => edit(new PaletteEditor(result, this.editorOptions())), 'palette');
+    },
+
+    /**
+     * Apply a region edit to the current result and redraw it
+     * @param {Function} edit - Receives a RegionEditor
+     * @returns {boolean} Whether the edit was applied
+     */
+    editRegion(edit) {
+        return this.applyEdit(result => edit(new RegionEditor(result, this.editorOptions())), 'result');
+    },
+
+    /**
+     * Options for tracing regions again after an edit
+     * @returns {{minRegionSize: number, geometricStyle: boolean, smallRegionMerge: string, minPaintWidth: number}}
+     */
+    editorOptions() {
+        const { geometricStyle, smallRegionMerge } = this.state.settings;
+        const tuning = this.state.currentResult && this.state.currentResult.tuning;
+        const minRegionSize = tuning ? tuning.minRegionSize : this.state.settings.minRegionSize;
+        // The brush width the result was generated with, in template pixels
+        const slivers = this.state.currentResult && this.state.currentResult.slivers;
+        const minPaintWidth = slivers ? slivers.width : 0;
+        return { minRegionSize, geometricStyle, smallRegionMerge, minPaintWidth };
+    },
+
+    /**
+     * Run an edit with undo support; a failed edit leaves the result as it was
+     * @param {Function} edit - Receives the current result
+     * @param {string} tab - Tab to show afterwards
+     * @returns {boolean} Whether the edit was applied
+     */
+    applyEdit(edit, tab) {
+        const result = this.state.currentResult;
+        if (!result || !result.svg) return false;
+
+        const snapshot = EditHistory.capture(result);
+        try {
+            edit(result);
+        } catch (error) {
+            console.error('Edit error:', error);
+            EditHistory.restore(result, snapshot);
+            Utils.showToast(error.message, 'warning');
+            this.renderPaletteEditor();
+            return false;
+        }
+
+        this.state.history.push(snapshot);
+        this.redraw(tab);
+        return true;
+    },
+
+    /**
+     * Undo the last palette or region edit
+     */
+    undo() {
+        const result = this.state.currentResult;
+        if (result && this.state.history.undo(result)) this.redraw(this.activeTab());
+    },
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        const result = this.state.currentResult;
+        if (result && this.state.history.redo(result)) this.redraw(this.activeTab());
+    },
+
+    /**
+     * @returns {string} The tab currently shown
+     */
+    activeTab() {
+        const active = document.querySelector('.tab-btn.active');
+        return active ? active.dataset.tab : 'result';
+    },
+
+    /**
+     * Regenerate template, legend and editors after the result changed
+     * @param {string} tab - Tab to show afterwards
+     */
+    redraw(tab) {
+        const result = this.state.currentResult;
+        this.displayResult(this.renderTemplate(result), this.buildLegend(result), tab);
+        this.renderPaletteEditor();
+
+        // The selected region may have been merged away
+        if (!result.regions.some(region => region.id === this.state.selectedRegion)) {
+            this.state.selectedRegion = null;
+        }
+        this.updateRegionPanel();
+        this.drawRegionOverlay();
+        this.updateHistoryButtons();
+    },
+
+    /**
+     * Enable undo/redo when there is something to undo or redo
+     */
+    updateHistoryButtons() {
+        document.getElementById('undoBtn').disabled = !this.state.history.canUndo();
+        document.getElementById('redoBtn').disabled = !this.state.history.canRedo();
+    },
+
+    /**
+     * Select a region on the preview (null to clear)
+     * @param {number|null} id
+     */
+    selectRegion(id) {
+        this.state.selectedRegion = id;
+        this.setCutMode(false);
+        this.updateRegionPanel();
+        this.drawRegionOverlay();
+    },
+
+    /**
+     * @param {boolean} on - Whether dragging on the preview draws a cut line
+     */
+    setCutMode(on) {
+        this.state.cutMode = on;
+        this.state.cut = null;
+        document.getElementById('regionOverlay').classList.toggle('cutting', on);
+        document.getElementById('regionCutBtn').textContent = on ? 'Cancel Cut' : 'Cut';
+    },
+
+    /**
+     * Show the selected region's number and area, with its merge targets and colours
+     */
+    updateRegionPanel() {
+        const result = this.state.currentResult;
+        const info = document.getElementById('regionInfo');
+        const actions = document.getElementById('regionActions');
+        const region = result && result.regions.find(r => r.id === this.state.selectedRegion);
+
+        if (!region) {
+            info.textContent = 'Click a region to edit it';
+            actions.hidden = true;
+            return;
+        }
+
+        info.textContent = `Region ${region.id} · colour ${region.colorId} (${region.color.name}) · ${Math.round(region.area).toLocaleString()} px²`;
+        actions.hidden = false;
+
+        const merge = document.getElementById('regionMergeSelect');
+        merge.innerHTML = '<option value="">Merge into neighbour…</option>';
+        new RegionEditor(result).neighbours(region.id).forEach(({ region: neighbour }) => {
+            const option = document.createElement('option');
+            option.value = neighbour.id;
+            option.textContent = `Region ${neighbour.id} (colour ${neighbour.colorId})`;
+            merge.appendChild(option);
+        });
+        merge.disabled = merge.options.length < 2;
+
+        const colors = document.getElementById('regionColorSelect');
+        colors.innerHTML = '';
+        result.palette.forEach(color => {
+            const option = document.createElement('option');
+            option.value = color.id;
+            option.textContent = `Colour ${color.id} ${color.name}`;
+            option.selected = color.id === region.colorId;
+            colors.appendChild(option);
+        });
+    },
+
+    /**
+     * Highlight the selected region and the cut line over the preview
+     */
+    drawRegionOverlay() {
+        const result = this.state.currentResult;
+        const overlay = document.getElementById('regionOverlay');
+        if (!result) return;
+
+        if (overlay.width !== result.width || overlay.height !== result.height) {
+            overlay.width = result.width;
+            overlay.height = result.height;
+        }
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+        const region = result.regions.find(r => r.id === this.state.selectedRegion);
+        if (region) {
+            ctx.beginPath();
+            region.polygons.forEach(polygon => {
+                [polygon.contour, ...polygon.holes].forEach(ring => {
+                    ring.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                    ctx.closePath();
+                });
+            });
+            ctx.fillStyle = 'rgba(129, 140, 248, 0.35)';
+            ctx.fill('evenodd');
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#6366F1';
+            ctx.stroke();
+        }
+
+        const cut = this.state.cut;
+        if (cut) {
+            ctx.beginPath();
+            ctx.moveTo(cut.x1, cut.y1);
+            ctx.lineTo(cut.x2, cut.y2);
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = '#EF4444';
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    },
+
+    /**
+     * Pointer position in template pixels
+     * @param {PointerEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    overlayPoint(e) {
+        const overlay = document.getElementById('regionOverlay');
+        const rect = overlay.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * overlay.width / rect.width,
+            y: (e.clientY - rect.top) * overlay.height / rect.height
+        };
+    },
+
+    /**
+     * Start a cut line, or select the region under the pointer
+     * @param {PointerEvent} e
+     */
+    onOverlayPointerDown(e) {
+        const result = this.state.currentResult;
+        if (!result || !result.labelMap) return;
+        const point = this.overlayPoint(e);
+
+        if (this.state.cutMode) {
+            this.state.cut = { x1: point.x, y1: point.y, x2: point.x, y2: point.y };
+            e.target.setPointerCapture(e.pointerId);
+            return;
+        }
+
+        const region = new RegionEditor(result).regionAt(point.x, point.y);
+        this.selectRegion(region ? region.id : null);
+    },
+
+    /**
+     * Follow the pointer with the cut line
+     * @param {PointerEvent} e
+     */
+    onOverlayPointerMove(e) {
+        if (!this.state.cut) return;
+        const point = this.overlayPoint(e);
+        this.state.cut.x2 = point.x;
+        this.state.cut.y2 = point.y;
+        this.drawRegionOverlay();
+    },
+
+    /**
+     * Finish the cut line and split the selected region along it
+     */
+    onOverlayPointerUp() {
+        const cut = this.state.cut;
+        if (!cut) return;
+
+        const id = this.state.selectedRegion;
+        this.setCutMode(false);
+        this.editRegion(editor => editor.split(id, cut));
+    },
+
+    /**
+     * The mask a brush paints into, created for the current image on first use
+     * @param {string} layer - State key of the mask
+     * @returns {MaskPainter}
+     */
+    maskLayer(layer) {
+        if (!this.state[layer]) {
+            const image = this.state.currentImage;
+            this.state[layer] = MaskPainter.forImage(image.width, image.height);
+        }
+        return this.state[layer];
+    },
+
+    /**
+     * Start a brush stroke on the original
+     * @param {PointerEvent} e
+     */
+    onMaskPointerDown(e) {
+        if (!this.state.currentImage) return;
+        e.target.setPointerCapture(e.pointerId);
+        this.state.maskStroke = null;
+        this.paintMask(e);
+    },
+
+    /**
+     * @param {PointerEvent} e
+     */
+    onMaskPointerMove(e) {
+        if (this.state.maskStroke) this.paintMask(e);
+    },
+
+    onMaskPointerUp() {
+        this.state.maskStroke = null;
+    },
+
+    /**
+     * Paint with the chosen brush from the last stroke point to the pointer
+     * @param {PointerEvent} e
+     */
+    paintMask(e) {
+        const brush = this.maskBrushes[document.getElementById('maskBrushSelect').value];
+        const mask = this.maskLayer(brush.layer);
+        const rect = document.getElementById('maskOverlay').getBoundingClientRect();
+        const point = {
+            x: (e.clientX - rect.left) * mask.width / rect.width,
+            y: (e.clientY - rect.top) * mask.height / rect.height
+        };
+        // Brush size is a percentage of the image's long side
+        const radius = parseInt(document.getElementById('maskBrushSlider').value) / 100 * Math.max(mask.width, mask.height);
+
+        mask.stroke(this.state.maskStroke || point, point, radius, brush.value);
+        this.state.maskStroke = point;
+        this.drawMaskOverlay();
+    },
+
+    /**
+     * Show the painted masks over the original
+     */
+    drawMaskOverlay() {
+        const image = this.state.currentImage;
+        const overlay = document.getElementById('maskOverlay');
+        if (!image) return;
+
+        if (overlay.width !== image.width || overlay.height !== image.height) {
+            overlay.width = image.width;
+            overlay.height = image.height;
+        }
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+        if (this.state.importanceMask) {
+            this.state.importanceMask.draw(ctx, { positive: [245, 158, 11, 120], negative: [0, 0, 0, 0] });
+        }
+        if (this.state.detailMask) {
+            this.state.detailMask.draw(ctx, { positive: [16, 185, 129, 110], negative: [59, 130, 246, 110] });
+        }
+    },
+
+    /**
+     * List the current palette with lock, recolour, split and merge controls
+     */
+    renderPaletteEditor() {
+        const result = this.state.currentResult;
+        const list = document.getElementById('paletteEditorList');
+        list.innerHTML = '';
+        if (!result) return;
+
+        const area = new Map();
+        let totalArea = 0;
+        result.regions.forEach(region => {
+            area.set(region.colorId, (area.get(region.colorId) || 0) + region.area);
+            totalArea += region.area;
+        });
+
+        const codes = this.state.settings.familyCodes ? new PaletteFamilies().codes(result.palette) : null;
+
+        result.palette.forEach(color => {
+            const row = document.createElement('div');
+            row.className = 'palette-editor-row' + (color.locked ? ' locked' : '');
+
+            const lock = document.createElement('input');
+            lock.type = 'checkbox';
+            lock.checked = !!color.locked;
+            lock.title = 'Lock colour and number';
+            lock.addEventListener('change', () => {
+                this.editPalette(editor => editor.setLocked(color.id, lock.checked));
+            });
+
+            const number = document.createElement('span');
+            number.className = 'palette-editor-number';
+            number.textContent = codes ? codes.get(color.id) : color.id;
+
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.value = color.hex;
+            picker.disabled = !!color.locked;
+            picker.addEventListener('change', () => {
+                this.editPalette(editor => editor.recolor(color.id, picker.value));
+            });
+
+            const name = document.createElement('span');
+            name.className = 'palette-editor-name';
+            const share = totalArea > 0 ? (area.get(color.id) || 0) / totalArea * 100 : 0;
+            name.textContent = color.name;
+            const detail = document.createElement('small');
+            detail.textContent = `${color.hex} · ${share.toFixed(1)}%`;
+            name.appendChild(detail);
+
+            const split = document.createElement('button');
+            split.className = 'btn btn-small btn-secondary';
+            split.textContent = 'Split';
+            split.disabled = !!color.locked;
+            split.addEventListener('click', () => {
+                this.editPalette(editor => editor.split(color.id, result.imageData));
+            });
+
+            const merge = document.createElement('select');
+            merge.className = 'control-select';
+            merge.disabled = !!color.locked || result.palette.length < 2;
+            merge.innerHTML = '<option value="">Merge into…</option>';
+            result.palette.forEach(other => {
+                if (other.id === color.id) return;
+                const option = document.createElement('option');
+                option.value = other.id;
+                option.textContent = `${other.id} ${other.name}`;
+                merge.appendChild(option);
+            });
+            merge.addEventListener('change', () => {
+                if (!merge.value) return;
+                this.editPalette(editor => editor.merge(color.id, parseInt(merge.value)));
+            });
+
+            row.append(lock, number, picker, name, split, merge);
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Download paint quantity and time estimates per colour as CSV
+     */
+    downloadEstimates() {
+        const result = this.state.currentResult;
+        if (!result || !result.paintEstimate) return;
+
+        const { paintCoverage, paintCoats } = this.state.settings;
+        const estimator = new PaintEstimator({ coverage: paintCoverage, coats: paintCoats });
+        const csv = estimator.toCSV(result.paintEstimate, result.paintMatches);
+        Utils.downloadBlob(new Blob([csv], { type: 'text/csv' }), 'paint-estimates.csv');
+
+        if (!result.paintEstimate.physical) {
+            Utils.showToast('Set a print size to include cm² and ml', 'info');
+        } else {
+            Utils.showToast('Downloaded paint estimates!', 'success');
+        }
+    },
+
     /**
      * Render combined PNG: PBN on top, legend (left) + original thumbnail (right) below.
      * Returns a canvas element.
@@ -576,8 +1805,10 @@ const App = {
         if (!this.state.currentResult || !this.state.currentResult.svg) return;
 
         const result = this.state.currentResult;
-        const pbnCanvas = document.getElementById('previewCanvas');
-        const targetWidth = Math.round(result.width * 1.1);
+        const pbnCanvas = this.getPrintSize()
+            ? await this.renderToCanvas(result.svg, result)
+            : document.getElementById('previewCanvas');
+        const targetWidth = Math.round(pbnCanvas.width * 1.1);
 
         const legendImg = await this.svgToImage(result.legend);
         const combinedCanvas = this.renderCombinedPNG(pbnCanvas, legendImg, this.state.currentImage, targetWidth);
@@ -586,6 +1817,59 @@ const App = {
         Utils.showToast('Downloaded PNG + Legend!', 'success');
     },
 
+    /**
+     * Print size from settings, or null when output is in pixels
+     * @returns {PrintSize|null}
+     */
+    getPrintSize() {
+        const { usePrintSize, printWidth, printHeight, printUnit, printDpi } = this.state.settings;
+        if (!usePrintSize) return null;
+
+        const printSize = new PrintSize({ width: printWidth, height: printHeight, unit: printUnit, dpi: printDpi });
+        return printSize.isSet() ? printSize : null;
+    },
+
+    /**
+     * Unit suffix for the line width label
+     * @returns {string}
+     */
+    lineWidthUnit() {
+        return this.state.settings.usePrintSize ? ' pt' : ' px';
+    },
+
+    /**
+     * Render an SVG to a canvas at the print resolution, or at the
+     * template's pixel size when no print size is set
+     * @param {string} svgString
+     * @param {Object} result - Processing result (for width/height)
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderToCanvas(svgString, result) {
+        const img = await this.svgToImage(svgString);
+        const printSize = this.getPrintSize();
+        const physical = printSize ? printSize.resolve(result.width, result.height) : null;
+
+        let width = physical ? physical.pixelWidth : result.width;
+        let height = physical ? physical.pixelHeight : result.height;
+
+        // Browsers refuse very large canvases; stay well inside their limits
+        const maxPixels = 100000000;
+        if (width * height > maxPixels) {
+            const factor = Math.sqrt(maxPixels / (width * height));
+            width = Math.floor(width * factor);
+            height = Math.floor(height * factor);
+            const dpi = Math.floor(printSize.dpi * factor);
+            Utils.showToast(`Print size too large for PNG, rendering at ${dpi} DPI`, 'warning');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+        return canvas;
+    },
+
     /**
      * Convert SVG string to Image element
      */
@@ -624,6 +1908,19 @@ const App = {
         document.getElementById('downloadPngBtn').disabled = true;
         document.getElementById('downloadLegendBtn').disabled = true;
         document.getElementById('downloadCleanBtn').disabled = true;
+        document.getElementById('downloadPdfBtn').disabled = true;
+        document.getElementById('downloadTilesPdfBtn').disabled = true;
+        document.getElementById('downloadTilesZipBtn').disabled = true;
+        document.getElementById('downloadPaletteBtn').disabled = true;
+        document.getElementById('downloadShoppingListBtn').disabled = true;
+        document.getElementById('downloadEstimatesBtn').disabled = true;
+        document.getElementById('paletteEditorList').innerHTML = '';
+        document.getElementById('regionToolbar').hidden = true;
+        document.getElementById('regionOverlay').hidden = true;
+        document.getElementById('maskToolbar').hidden = true;
+        document.getElementById('maskOverlay').hidden = true;
+        this.state.history.clear();
+        this.state.selectedRegion = null;
     },
 
     /**
@@ -695,16 +1992,21 @@ const App = {
         const queue = this.state.batchProcessor.queue;
 
         if (queue.length === 0) return;
+        if (!this.checkPalette()) return;
 
         loadingOverlay.hidden = false;
+        this.state.cancelRequested = false;
         let completed = 0;
         let errors = 0;
-
-        const processor = new WatershedProcessor();
-        const svgGen = new SVGGenerator();
+        let cancelled = false;
 
         for (let i = 0; i < queue.length; i++) {
             const item = queue[i];
+
+            if (this.state.cancelRequested) {
+                cancelled = true;
+                break;
+            }
             const baseName = item.file.name.replace(/\.[^.]+$/, '');
 
             try {
@@ -718,9 +2020,18 @@ const App = {
                 const image = await Utils.loadImageFromFile(item.file);
                 const imageData = Utils.getImageData(image, this.state.settings.maxSize);
 
-                const result = await processor.process(
+                // Each image gets its own parameters for the auto-tune target;
+                // masks painted over the single image do not apply here
+                let options = { ...this.getProcessingOptions(), importanceMask: null, detailMask: null };
+                if (this.state.settings.autoTune) {
+                    loadingSubtext.textContent = 'Auto-tuning...';
+                    const { colorCount, complexity, minRegionSize } = await this.autoTune(image, imageData.width, options);
+                    options = { ...options, colorCount, complexity, minRegionSize };
+                }
+
+                const result = await this.state.pipeline.process(
                     imageData,
-                    this.state.settings,
+                    options,
                     (progress) => {
                         progressBar.style.width = progress.percent + '%';
                         loadingSubtext.textContent = progress.message;
@@ -736,21 +2047,16 @@ const App = {
                 }
 
                 // Generate SVG + Legend
-                const svg = svgGen.generateSVG(result.regions, result.palette, {
-                    ...this.state.settings,
-                    smoothPaths: !this.state.settings.geometricStyle,
-                    width: result.width,
-                    height: result.height
-                });
-                const legend = svgGen.generateLegend(result.palette);
+                const svg = this.renderTemplate(result);
+                const legend = this.buildLegend(result);
 
                 // Render combined PNG (PBN + Legend) like downloadAll
                 loadingSubtext.textContent = 'Rendering PNG...';
-                const pbnImg = await this.svgToImage(svg);
+                const pbnCanvas = await this.renderToCanvas(svg, result);
                 const legendImg = await this.svgToImage(legend);
 
-                const targetWidth = Math.round(result.width * 1.1);
-                const combinedCanvas = this.renderCombinedPNG(pbnImg, legendImg, image, targetWidth);
+                const targetWidth = Math.round(pbnCanvas.width * 1.1);
+                const combinedCanvas = this.renderCombinedPNG(pbnCanvas, legendImg, image, targetWidth);
 
                 // Download this image
                 loadingSubtext.textContent = 'Downloading...';
@@ -764,6 +2070,12 @@ const App = {
                 this.updateBatchList();
 
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    item.status = 'pending';
+                    this.updateBatchList();
+                    cancelled = true;
+                    break;
+                }
                 console.error(`Error processing ${item.file.name}:`, error);
                 item.status = 'error';
                 item.error = error.message;
@@ -773,8 +2085,11 @@ const App = {
         }
 
         loadingOverlay.hidden = true;
+        loadingText.textContent = 'Processing...';
 
-        if (errors === 0) {
+        if (cancelled) {
+            Utils.showToast(`Batch cancelled: ${completed} downloaded, ${errors} failed.`, 'info', 5000);
+        } else if (errors === 0) {
             Utils.showToast(`Batch complete! ${completed} images downloaded.`, 'success', 5000);
         } else {
             Utils.showToast(`Done: ${completed} downloaded, ${errors} failed.`, 'warning', 5000);
@@ -29,7 +29,7 @@ class BatchProcessor {
 
     /**
      * Process all images in batch
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options (plus an optional `printSize`)
      * @param {Function} onItemComplete - Callback for each item
      * @param {Function} onProgress - Progress callback
      * @returns {Promise<Array>}
@@ -43,7 +43,7 @@ class BatchProcessor {
         this.currentIndex = 0;
         this.results = [];
 
-        const processor = new WatershedProcessor();
+        const pipeline = new PipelineClient();
         const svgGen = new SVGGenerator();
 
         for (let i = 0; i < this.queue.length; i++) {
@@ -58,7 +58,7 @@ class BatchProcessor {
                 const imageData = Utils.getImageData(image, options.maxSize);
 
                 // Process with watershed
-                const result = await processor.process(
+                const result = await pipeline.process(
                     imageData,
                     options,
                     (progress) => {
@@ -76,13 +76,37 @@ class BatchProcessor {
                     height: result.height,
                     showNumbers: options.showNumbers,
                     numberSize: options.numberSize,
+                    repeatNumbers: options.repeatNumbers,
+                    numberSpacing: options.numberSpacing,
                     lineWidth: options.lineWidth,
                     showColors: options.showColors,
-                    backgroundColor: options.backgroundColor
+                    backgroundColor: options.backgroundColor,
+                    edges: result.edges,
+                    adjacency: result.adjacency,
+                    familyCodes: options.familyCodes,
+                    printSize: options.printSize || null
                 });
 
                 // Generate legend
-                const legend = svgGen.generateLegend(result.palette);
+                const matches = options.paintBrand ? new PaintCatalog().match(result.palette, options.paintBrand) : null;
+                const recipes = options.mixingBase && options.mixingBase.length > 0
+                    ? new PaintMixer(options.mixingBase).recipes(result.palette)
+                    : null;
+                const estimates = options.showEstimates
+                    ? new Map(new PaintEstimator({ coverage: options.paintCoverage, coats: options.paintCoats })
+                        .estimate(result.regions, result.palette, {
+                            width: result.width,
+                            height: result.height,
+                            printSize: options.printSize || null
+                        })
+                        .rows.map(row => [row.id, row]))
+                    : null;
+                const legend = svgGen.generateLegend(result.palette, {
+                    matches,
+                    recipes,
+                    estimates,
+                    familyCodes: options.familyCodes
+                });
 
                 item.status = 'completed';
                 item.result = {
@@ -106,6 +130,7 @@ class BatchProcessor {
             this.currentIndex = i + 1;
         }
 
+        pipeline.terminate();
         this.isProcessing = false;
         return this.results;
     }
@@ -135,18 +160,7 @@ class BatchProcessor {
         });
 
         const blob = await zip.generateAsync({ type: 'blob' });
-
-        // Download
-        if (typeof saveAs !== 'undefined') {
-            saveAs(blob, zipName);
-        } else {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = zipName;
-            a.click();
-            URL.revokeObjectURL(url);
-        }
+        Utils.downloadBlob(blob, zipName);
     }
 
     /**
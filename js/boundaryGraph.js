@@ -0,0 +1,317 @@
+/* ============================================
+   Boundary Graph - Shared Edge Topology
+   ============================================ */
+
+/**
+ * Planar graph of the borders between regions of a label map.
+ *
+ * Borders follow the pixel cracks (the lines between pixel corners), so two
+ * neighbouring regions always share the exact same border. Every border run
+ * between two junctions is stored once as an edge that knows the region on
+ * its left and on its right; regions are rebuilt as rings of edge references.
+ * Label 0 stands for the area outside the image.
+ */
+class BoundaryGraph {
+    /**
+     * @param {Int32Array} labels - Label per pixel (row-major, > 0 for regions)
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(labels, width, height) {
+        this.labels = labels;
+        this.width = width;
+        this.height = height;
+        this.edges = [];
+        this.pixelCounts = new Map();
+        this._regionEdges = null;
+    }
+
+    /**
+     * Trace all border edges
+     * @returns {BoundaryGraph} this
+     */
+    build() {
+        const { labels, width, height } = this;
+
+        // Pixel counts per label in one pass
+        for (let i = 0; i < labels.length; i++) {
+            const label = labels[i];
+            this.pixelCounts.set(label, (this.pixelCounts.get(label) || 0) + 1);
+        }
+
+        // Crack flags: 1 = border crack, 2 = already traced
+        // Horizontal cracks: (height + 1) rows of width, vertical: height rows of (width + 1)
+        this._hCracks = new Uint8Array((height + 1) * width);
+        this._vCracks = new Uint8Array(height * (width + 1));
+
+        for (let y = 0; y <= height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (this.labelAt(x, y - 1) !== this.labelAt(x, y)) {
+                    this._hCracks[y * width + x] = 1;
+                }
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x <= width; x++) {
+                if (this.labelAt(x - 1, y) !== this.labelAt(x, y)) {
+                    this._vCracks[y * (width + 1) + x] = 1;
+                }
+            }
+        }
+
+        // Start edges at junctions (vertices where 3 or more cracks meet)
+        for (let y = 0; y <= height; y++) {
+            for (let x = 0; x <= width; x++) {
+                if (this.vertexDegree(x, y) < 3) continue;
+                for (let dir = 0; dir < 4; dir++) {
+                    if (this.crackState(x, y, dir) === 1) {
+                        this.traceEdge(x, y, dir);
+                    }
+                }
+            }
+        }
+
+        // Whatever is left are closed loops without junctions (islands)
+        for (let y = 0; y <= height; y++) {
+            for (let x = 0; x <= width; x++) {
+                for (let dir = 0; dir < 4; dir++) {
+                    if (this.crackState(x, y, dir) === 1) {
+                        this.traceEdge(x, y, dir);
+                    }
+                }
+            }
+        }
+
+        this._hCracks = null;
+        this._vCracks = null;
+
+        console.log(`BoundaryGraph: ${this.edges.length} shared edges`);
+        return this;
+    }
+
+    /**
+     * Label at pixel, 0 outside the image
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    labelAt(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return 0;
+        return this.labels[y * this.width + x];
+    }
+
+    /**
+     * State of the crack leaving vertex (x, y) in a direction
+     * @param {number} x - Vertex x (0..width)
+     * @param {number} y - Vertex y (0..height)
+     * @param {number} dir - 0 = east, 1 = south, 2 = west, 3 = north
+     * @returns {number} 0 = no border, 1 = border, 2 = traced
+     */
+    crackState(x, y, dir) {
+        const { width, height } = this;
+        switch (dir) {
+            case 0: return x < width ? this._hCracks[y * width + x] : 0;
+            case 1: return y < height ? this._vCracks[y * (width + 1) + x] : 0;
+            case 2: return x > 0 ? this._hCracks[y * width + x - 1] : 0;
+            default: return y > 0 ? this._vCracks[(y - 1) * (width + 1) + x] : 0;
+        }
+    }
+
+    /**
+     * Mark the crack leaving vertex (x, y) in a direction as traced
+     */
+    markCrack(x, y, dir) {
+        const { width } = this;
+        switch (dir) {
+            case 0: this._hCracks[y * width + x] = 2; break;
+            case 1: this._vCracks[y * (width + 1) + x] = 2; break;
+            case 2: this._hCracks[y * width + x - 1] = 2; break;
+            default: this._vCracks[(y - 1) * (width + 1) + x] = 2;
+        }
+    }
+
+    /**
+     * Number of border cracks meeting at a vertex
+     * @returns {number}
+     */
+    vertexDegree(x, y) {
+        let degree = 0;
+        for (let dir = 0; dir < 4; dir++) {
+            if (this.crackState(x, y, dir) !== 0) degree++;
+        }
+        return degree;
+    }
+
+    /**
+     * Labels on the left and right of a crack when walking it
+     * (image coordinates, y pointing down)
+     * @returns {{left: number, right: number}}
+     */
+    crackSides(x, y, dir) {
+        switch (dir) {
+            case 0: return { left: this.labelAt(x, y - 1), right: this.labelAt(x, y) };
+            case 1: return { left: this.labelAt(x, y), right: this.labelAt(x - 1, y) };
+            case 2: return { left: this.labelAt(x - 1, y), right: this.labelAt(x - 1, y - 1) };
+            default: return { left: this.labelAt(x - 1, y - 1), right: this.labelAt(x, y - 1) };
+        }
+    }
+
+    /**
+     * Walk from a vertex along border cracks until the next junction
+     * (or back to the start for a closed loop) and store the edge.
+     * Only corner points are kept, like CHAIN_APPROX_SIMPLE.
+     */
+    traceEdge(startX, startY, startDir) {
+        const dx = [1, 0, -1, 0];
+        const dy = [0, 1, 0, -1];
+        const { left, right } = this.crackSides(startX, startY, startDir);
+        const startDegree = this.vertexDegree(startX, startY);
+
+        const points = [{ x: startX, y: startY }];
+        let x = startX;
+        let y = startY;
+        let dir = startDir;
+
+        for (;;) {
+            this.markCrack(x, y, dir);
+            x += dx[dir];
+            y += dy[dir];
+
+            if (x === startX && y === startY) break;
+            if (this.vertexDegree(x, y) !== 2) break;
+
+            // Continue through the one other crack at this vertex
+            const back = (dir + 2) % 4;
+            let nextDir = -1;
+            for (let d = 0; d < 4; d++) {
+                if (d !== back && this.crackState(x, y, d) !== 0) {
+                    nextDir = d;
+                    break;
+                }
+            }
+            if (nextDir !== dir) points.push({ x, y });
+            dir = nextDir;
+        }
+
+        const closed = x === startX && y === startY && startDegree === 2;
+        points.push({ x, y });
+
+        this.edges.push({
+            id: this.edges.length,
+            points,
+            left,
+            right,
+            closed,
+            start: startY * (this.width + 1) + startX,
+            end: y * (this.width + 1) + x
+        });
+    }
+
+    /**
+     * Simplify every edge once with endpoints pinned, so both regions
+     * along a border see the same simplified line
+     * @param {number|Function} epsilon - Douglas-Peucker tolerance, or (edge) => tolerance
+     * @param {RegionExtractor} extractor
+     */
+    simplify(epsilon, extractor = new RegionExtractor()) {
+        this.edges.forEach(edge => {
+            const tolerance = typeof epsilon === 'function' ? epsilon(edge) : epsilon;
+            const simplified = extractor.simplifyPolyline(edge.points, tolerance);
+            // Keep loops from collapsing into a line: closed rings, and edges
+            // that leave a junction and come back to it
+            if ((edge.closed || edge.start === edge.end) && simplified.length < 4) return;
+            edge.points = simplified;
+        });
+    }
+
+    /**
+     * Edge references (with direction) for every region, oriented so the
+     * region lies on the left
+     * @returns {Map<number, Array<{edgeId: number, reversed: boolean}>>}
+     */
+    getRegionEdges() {
+        if (this._regionEdges) return this._regionEdges;
+
+        const regionEdges = new Map();
+        const add = (label, ref) => {
+            if (!regionEdges.has(label)) regionEdges.set(label, []);
+            regionEdges.get(label).push(ref);
+        };
+
+        this.edges.forEach(edge => {
+            add(edge.left, { edgeId: edge.id, reversed: false });
+            add(edge.right, { edgeId: edge.id, reversed: true });
+        });
+
+        this._regionEdges = regionEdges;
+        return regionEdges;
+    }
+
+    /**
+     * Chain a region's edges into closed rings
+     * @param {number} label
+     * @returns {Array<Array<{edgeId: number, reversed: boolean}>>}
+     */
+    getRings(label) {
+        const refs = this.getRegionEdges().get(label) || [];
+        const rings = [];
+        const byStart = new Map();
+        const used = new Set();
+
+        refs.forEach((ref, index) => {
+            const edge = this.edges[ref.edgeId];
+            if (edge.closed) {
+                rings.push([ref]);
+                used.add(index);
+                return;
+            }
+            const from = ref.reversed ? edge.end : edge.start;
+            if (!byStart.has(from)) byStart.set(from, []);
+            byStart.get(from).push(index);
+        });
+
+        refs.forEach((ref, index) => {
+            if (used.has(index)) return;
+
+            const ring = [];
+            const startNode = ref.reversed ? this.edges[ref.edgeId].end : this.edges[ref.edgeId].start;
+            let current = index;
+
+            while (current !== -1) {
+                used.add(current);
+                const currentRef = refs[current];
+                ring.push(currentRef);
+
+                const edge = this.edges[currentRef.edgeId];
+                const to = currentRef.reversed ? edge.start : edge.end;
+                if (to === startNode) break;
+
+                const candidates = byStart.get(to) || [];
+                current = candidates.find(c => !used.has(c));
+                if (current === undefined) current = -1;
+            }
+
+            rings.push(ring);
+        });
+
+        return rings;
+    }
+
+    /**
+     * Flatten a ring of edge references into a point list
+     * @param {Array<{edgeId: number, reversed: boolean}>} ring
+     * @returns {Array<{x: number, y: number}>}
+     */
+    ringToPoints(ring) {
+        const points = [];
+        ring.forEach(ref => {
+            const edgePoints = this.edges[ref.edgeId].points;
+            const ordered = ref.reversed ? edgePoints.slice().reverse() : edgePoints;
+            // Drop the last point: it is the first point of the next edge
+            for (let i = 0; i < ordered.length - 1; i++) {
+                points.push(ordered[i]);
+            }
+        });
+        return points;
+    }
+}
@@ -6,10 +6,12 @@ class ColorQuantizer {
     /**
      * Quantize colors using K-Means clustering in Lab color space
      * @param {ImageData} imageData - Source image data
-     * @param {number} numColors - Number of colors to reduce to (6-16)
+     * @param {number} numColors - Number of colors to reduce to (6-48)
+     * @param {Float32Array|null} weights - Importance per pixel in [0, 1] (ImportanceMap);
+     *   k-means then runs on a resample that favours important pixels
      * @returns {{quantized: cv.Mat, palette: Array, labels: cv.Mat}}
      */
-    quantize(imageData, numColors) {
+    quantize(imageData, numColors, weights = null) {
         // Check if OpenCV is loaded
         if (typeof cv === 'undefined' || !cv.Mat) {
             throw new Error('OpenCV.js is not loaded');
@@ -64,24 +66,21 @@ class ColorQuantizer {
         } catch (e) {
             // Fallback: Create Float32Array and use cv.matFromArray (much faster!)
             console.log('Using fast Float32Array method...');
-            const data = new Float32Array(numPixels * 3);
-            let idx = 0;
-            for (let y = 0; y < lab.rows; y++) {
-                for (let x = 0; x < lab.cols; x++) {
-                    data[idx++] = lab.ucharPtr(y, x)[0]; // L
-                    data[idx++] = lab.ucharPtr(y, x)[1]; // a
-                    data[idx++] = lab.ucharPtr(y, x)[2]; // b
-                }
-            }
+            // Lab Mat is continuous 8UC3: L, a, b per pixel
+            const data = Float32Array.from(lab.data);
             samples = cv.matFromArray(numPixels, 3, cv.CV_32F, data);
             console.log('✅ Used Float32Array method');
         }
 
         console.log('Samples ready:', samples.rows, 'x', samples.cols);
 
+        // Important pixels are drawn more often, so their colours pull
+        // centres towards them; every pixel gets its nearest centre afterwards
+        const clusterSamples = weights ? this.weightedSample(samples, weights) : samples;
+
         // K-Means clustering
         console.log('Running K-Means clustering...');
-        const labels = new cv.Mat();
+        let labels = new cv.Mat();
         const centers = new cv.Mat();
         const criteria = new cv.TermCriteria(
             cv.TERM_CRITERIA_EPS + cv.TERM_CRITERIA_MAX_ITER,
@@ -89,13 +88,17 @@ class ColorQuantizer {
             0.2
         );
 
+        // Large palettes already settle well from k-means++ seeds, and each
+        // attempt costs time in proportion to the number of colors
+        const attempts = numColors > 16 ? 1 : 3;
+
         try {
             cv.kmeans(
-                samples,
+                clusterSamples,
                 numColors,
                 labels,
                 criteria,
-                3, // Attempts
+                attempts,
                 cv.KMEANS_PP_CENTERS,
                 centers // 7th param: output centers!
             );
@@ -105,27 +108,37 @@ class ColorQuantizer {
             rgb.delete();
             lab.delete();
             samples.delete();
+            if (clusterSamples !== samples) clusterSamples.delete();
             labels.delete();
             centers.delete();
             throw new Error('K-Means clustering failed: ' + e);
         }
 
+        if (clusterSamples !== samples) {
+            const sampleLabels = labels;
+            labels = this.assignNearest(samples, clusterSamples, sampleLabels, numColors);
+            sampleLabels.delete();
+            clusterSamples.delete();
+        }
+
         // Calculate palette colors from actual pixel data per cluster
         // (More reliable than centers which may not populate in OpenCV.js)
         const palette = [];
         const colorSums = new Array(numColors).fill(null).map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
 
         // Sum RGB values per cluster from original image
+        // (direct typed-array views: labels are one int per pixel, RGB is 3 bytes per pixel)
         const totalPixels = rgb.rows * rgb.cols;
+        const labelData = labels.data32S;
+        const rgbData = rgb.data;
         for (let i = 0; i < totalPixels; i++) {
-            const label = labels.intAt(i, 0);
+            const label = labelData[i];
             if (label >= 0 && label < numColors) {
-                const y = Math.floor(i / rgb.cols);
-                const x = i % rgb.cols;
-                colorSums[label].r += rgb.ucharPtr(y, x)[0];
-                colorSums[label].g += rgb.ucharPtr(y, x)[1];
-                colorSums[label].b += rgb.ucharPtr(y, x)[2];
-                colorSums[label].count++;
+                const sum = colorSums[label];
+                sum.r += rgbData[i * 3];
+                sum.g += rgbData[i * 3 + 1];
+                sum.b += rgbData[i * 3 + 2];
+                sum.count++;
             }
         }
 
@@ -150,14 +163,12 @@ class ColorQuantizer {
 
         // Create quantized image
         const quantized = new cv.Mat(rgb.rows, rgb.cols, cv.CV_8UC3);
+        const quantizedData = quantized.data;
         for (let i = 0; i < totalPixels; i++) {
-            const label = labels.intAt(i, 0);
-            const y = Math.floor(i / rgb.cols);
-            const x = i % rgb.cols;
-            const color = palette[label].rgb;
-            quantized.ucharPtr(y, x)[0] = color.r;
-            quantized.ucharPtr(y, x)[1] = color.g;
-            quantized.ucharPtr(y, x)[2] = color.b;
+            const color = palette[labelData[i]].rgb;
+            quantizedData[i * 3] = color.r;
+            quantizedData[i * 3 + 1] = color.g;
+            quantizedData[i * 3 + 2] = color.b;
         }
 
         // Cleanup
@@ -171,6 +182,671 @@ class ColorQuantizer {
         return { quantized, palette, labels };
     }
 
+    /**
+     * Systematic resample of k-means samples in proportion to importance.
+     * Unimportant pixels keep a weight of 0.25, so the background still gets
+     * colours, just fewer of them.
+     * @param {cv.Mat} samples - One Lab row (CV_32F x 3) per pixel
+     * @param {Float32Array} weights - Importance per pixel in [0, 1]
+     * @param {number} maxSamples
+     * @returns {cv.Mat} Resampled rows; important pixels may appear several times
+     */
+    weightedSample(samples, weights, maxSamples = 200000) {
+        const rows = samples.rows;
+        const data = samples.data32F;
+        const weightOf = i => 0.25 + weights[i];
+
+        let total = 0;
+        for (let i = 0; i < rows; i++) total += weightOf(i);
+
+        const count = Math.min(rows, maxSamples);
+        const step = total / count;
+        const picked = new Float32Array(count * 3);
+        let k = 0;
+        let next = step / 2;
+        let cumulative = 0;
+        for (let i = 0; i < rows && k < count; i++) {
+            cumulative += weightOf(i);
+            while (cumulative > next && k < count) {
+                picked.set(data.subarray(i * 3, i * 3 + 3), k * 3);
+                k++;
+                next += step;
+            }
+        }
+
+        return cv.matFromArray(k, 3, cv.CV_32F, picked.subarray(0, k * 3));
+    }
+
+    /**
+     * Label every pixel with the nearest centre of a clustered resample
+     * @param {cv.Mat} samples - One Lab row per pixel
+     * @param {cv.Mat} clusterSamples - The rows k-means ran on
+     * @param {cv.Mat} sampleLabels - Their k-means labels
+     * @param {number} numColors
+     * @returns {cv.Mat} Labels (CV_32S, one per pixel)
+     */
+    assignNearest(samples, clusterSamples, sampleLabels, numColors) {
+        // Centres as sample means (k-means centres may not populate in OpenCV.js)
+        const sums = new Float64Array(numColors * 4);
+        const sampleData = clusterSamples.data32F;
+        const sampleLabelData = sampleLabels.data32S;
+        for (let i = 0; i < clusterSamples.rows; i++) {
+            const c = sampleLabelData[i] * 4;
+            sums[c] += sampleData[i * 3];
+            sums[c + 1] += sampleData[i * 3 + 1];
+            sums[c + 2] += sampleData[i * 3 + 2];
+            sums[c + 3]++;
+        }
+        const centres = [];
+        for (let c = 0; c < numColors; c++) {
+            const n = sums[c * 4 + 3];
+            if (n > 0) centres.push({ index: c, l: sums[c * 4] / n, a: sums[c * 4 + 1] / n, b: sums[c * 4 + 2] / n });
+        }
+
+        const labels = new cv.Mat(samples.rows, 1, cv.CV_32S);
+        const labelData = labels.data32S;
+        const data = samples.data32F;
+        for (let i = 0; i < samples.rows; i++) {
+            const l = data[i * 3];
+            const a = data[i * 3 + 1];
+            const b = data[i * 3 + 2];
+            let best = 0;
+            let bestDistance = Infinity;
+            for (const centre of centres) {
+                const distance = (l - centre.l) ** 2 + (a - centre.a) ** 2 + (b - centre.b) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = centre.index;
+                }
+            }
+            labelData[i] = best;
+        }
+        return labels;
+    }
+
+    /**
+     * Quantize to a fixed palette: each pixel takes the nearest palette
+     * colour in Lab by CIEDE2000. Colours no pixel maps to are dropped.
+     * @param {ImageData} imageData - Source image data
+     * @param {Array<{hex: string, name: string}>} paletteColors - Available paints
+     * @param {number|null} numColors - Use only the best N of them (null = all)
+     * @returns {{quantized: cv.Mat, palette: Array, labels: cv.Mat}}
+     */
+    quantizeToPalette(imageData, paletteColors, numColors = null) {
+        if (typeof cv === 'undefined' || !cv.Mat) {
+            throw new Error('OpenCV.js is not loaded');
+        }
+
+        const inventory = paletteColors
+            .map(color => ({ ...color, rgb: Utils.hexToRgb(color.hex) }))
+            .filter(color => color.rgb)
+            .map(color => ({ ...color, lab: Utils.rgbToLab(color.rgb.r, color.rgb.g, color.rgb.b) }));
+
+        if (inventory.length === 0) {
+            throw new Error('Fixed palette has no valid colours');
+        }
+
+        console.log('ColorQuantizer: Mapping to fixed palette of', inventory.length, 'colors');
+
+        const { width, height, data } = imageData;
+        const totalPixels = width * height;
+
+        // Nearest-colour lookups run once per occupied histogram cell,
+        // not once per pixel
+        const fine = this.buildColorHistogram(data, totalPixels, 6);
+
+        let chosen = inventory.map((color, i) => i);
+        if (numColors && numColors < inventory.length) {
+            const coarse = this.buildColorHistogram(data, totalPixels, 5);
+            chosen = this.selectPaletteSubset(inventory, coarse.cells, numColors);
+            console.log('Selected', chosen.length, 'of', inventory.length, 'palette colors');
+        }
+
+        // Nearest chosen colour per fine cell
+        const nearest = new Int32Array(fine.cellIndex.length).fill(-1);
+        fine.cells.forEach(cell => {
+            let best = 0;
+            let bestDistance = Infinity;
+            chosen.forEach((inventoryIndex, i) => {
+                const distance = Utils.deltaE2000(cell.lab, inventory[inventoryIndex].lab);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = i;
+                }
+            });
+            nearest[cell.key] = best;
+        });
+
+        // Label pixels and count usage
+        const pixelChoice = new Int32Array(totalPixels);
+        const usage = new Array(chosen.length).fill(0);
+        for (let i = 0; i < totalPixels; i++) {
+            const choice = nearest[this.colorKey(data, i * 4, 6)];
+            pixelChoice[i] = choice;
+            usage[choice]++;
+        }
+
+        // Compact away unused colours, keeping inventory order
+        const used = chosen
+            .map((inventoryIndex, choice) => ({ inventoryIndex, choice }))
+            .filter(entry => usage[entry.choice] > 0)
+            .sort((a, b) => a.inventoryIndex - b.inventoryIndex);
+        const choiceToLabel = new Int32Array(chosen.length).fill(-1);
+        used.forEach((entry, label) => { choiceToLabel[entry.choice] = label; });
+
+        const palette = used.map((entry, i) => {
+            const color = inventory[entry.inventoryIndex];
+            console.log(`  Color ${i + 1}: ${color.hex} ${color.name} (${usage[entry.choice]} px)`);
+            return {
+                id: i + 1,
+                rgb: { ...color.rgb },
+                hex: color.hex,
+                name: color.name || Utils.getColorName(color.rgb.r, color.rgb.g, color.rgb.b)
+            };
+        });
+
+        const labels = new cv.Mat(totalPixels, 1, cv.CV_32S);
+        const labelData = labels.data32S;
+        const quantized = new cv.Mat(height, width, cv.CV_8UC3);
+        const quantizedData = quantized.data;
+        for (let i = 0; i < totalPixels; i++) {
+            const label = choiceToLabel[pixelChoice[i]];
+            const color = palette[label].rgb;
+            labelData[i] = label;
+            quantizedData[i * 3] = color.r;
+            quantizedData[i * 3 + 1] = color.g;
+            quantizedData[i * 3 + 2] = color.b;
+        }
+
+        console.log('ColorQuantizer: Fixed palette mapping complete,', palette.length, 'colors used');
+        return { quantized, palette, labels };
+    }
+
+    /**
+     * Merge palette colours that are hard to tell apart. The closest pair
+     * (CIEDE2000) below `maxDeltaE` becomes one colour at the pixel-weighted
+     * mean of both, until no such pair is left. With `respend`, each freed
+     * slot then goes to the hue sector with the most CIEDE2000 error among
+     * badly matched pixels, divided by how many palette colours already
+     * sit in that sector, as long as the new colour is at least twice
+     * `maxDeltaE` from every palette colour and every colour just merged.
+     * Labels are rewritten in place and the quantized image is rebuilt.
+     * @param {ImageData} imageData - The image that was quantized
+     * @param {{quantized: cv.Mat, palette: Array, labels: cv.Mat}} quantization - From quantize()
+     * @param {Object} options
+     * @param {number} options.maxDeltaE - Colours closer than this are merged
+     * @param {boolean} options.respend - Spend freed slots on badly matched hues
+     * @returns {{quantized: cv.Mat, palette: Array, labels: cv.Mat, merges: {merged: Array, added: Array<number>}}}
+     *   merged holds { colors: [hex, hex], deltaE, into: palette id } per merge,
+     *   added the palette ids of colours bought with freed slots
+     */
+    mergeNearDuplicates(imageData, quantization, options = {}) {
+        const { maxDeltaE = 3, respend = false } = options;
+        const { data } = imageData;
+        const labelData = quantization.labels.data32S;
+        const totalPixels = labelData.length;
+
+        // Pixel count and mean colour per label
+        const meanColors = (count) => {
+            const clusters = Array.from({ length: count }, () => ({ r: 0, g: 0, b: 0, count: 0 }));
+            for (let i = 0; i < totalPixels; i++) {
+                const cluster = clusters[labelData[i]];
+                cluster.r += data[i * 4];
+                cluster.g += data[i * 4 + 1];
+                cluster.b += data[i * 4 + 2];
+                cluster.count++;
+            }
+            clusters.forEach(cluster => this.updateCluster(cluster));
+            return clusters;
+        };
+
+        const relabel = (remap) => {
+            for (let i = 0; i < totalPixels; i++) labelData[i] = remap[labelData[i]];
+        };
+
+        // Closest pair first, so chains of similar shades fold from the middle
+        const clusters = meanColors(quantization.palette.length);
+        const target = clusters.map((cluster, i) => i);
+        const active = clusters.map((cluster, i) => i).filter(i => clusters[i].count > 0);
+        const merged = [];
+        for (;;) {
+            let best = null;
+            for (let x = 0; x < active.length; x++) {
+                for (let y = x + 1; y < active.length; y++) {
+                    const deltaE = Utils.deltaE2000(clusters[active[x]].lab, clusters[active[y]].lab);
+                    if (deltaE < maxDeltaE && (!best || deltaE < best.deltaE)) best = { a: active[x], b: active[y], deltaE };
+                }
+            }
+            if (!best) break;
+
+            const [keep, drop] = clusters[best.a].count >= clusters[best.b].count ? [best.a, best.b] : [best.b, best.a];
+            merged.push({ colors: [clusters[keep].hex, clusters[drop].hex], deltaE: best.deltaE, keep });
+            ['r', 'g', 'b', 'count'].forEach(key => { clusters[keep][key] += clusters[drop][key]; });
+            this.updateCluster(clusters[keep]);
+            target[drop] = keep;
+            active.splice(active.indexOf(drop), 1);
+        }
+
+        if (merged.length === 0) return { ...quantization, merges: { merged, added: [] } };
+
+        const root = i => (target[i] === i ? i : root(target[i]));
+        const compact = new Int32Array(clusters.length);
+        clusters.forEach((cluster, i) => { compact[i] = active.indexOf(root(i)); });
+        relabel(compact);
+
+        const centres = active.map(i => clusters[i]);
+        const added = [];
+        if (respend) {
+            // CIEDE2000 runs once per histogram cell and colour, not per pixel
+            const { cellIndex, cells } = this.buildColorHistogram(data, totalPixels, 6);
+            const pixelCell = new Int32Array(totalPixels);
+            for (let i = 0; i < totalPixels; i++) pixelCell[i] = cellIndex[this.colorKey(data, i * 4, 6)];
+            const errors = new Map();
+            const errorOf = (cell, index) => {
+                const key = cell * 256 + index;
+                let error = errors.get(key);
+                if (error === undefined) {
+                    error = Utils.deltaE2000(cells[cell].lab, centres[index].lab);
+                    errors.set(key, error);
+                }
+                return error;
+            };
+
+            // Hue sector (12 x 30°), or 12 for neutrals
+            const binOf = lab => (Math.hypot(lab.a, lab.b) < 10
+                ? 12
+                : Math.floor(((Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360) / 30) % 12);
+            const cellBin = cells.map(cell => binOf(cell.lab));
+
+            // A new colour must stand well clear of the palette and of the
+            // colours just merged, or it would bring a duplicate back
+            const margin = 2 * maxDeltaE;
+            const mergedLabs = merged.flatMap(({ colors }) => colors.map(hex => {
+                const rgb = Utils.hexToRgb(hex);
+                return Utils.rgbToLab(rgb.r, rgb.g, rgb.b);
+            }));
+
+            for (let slot = 0; slot < merged.length; slot++) {
+                // Error of badly matched pixels per hue sector
+                const bins = Array.from({ length: 13 }, () => ({ error: 0, r: 0, g: 0, b: 0, count: 0 }));
+                for (let i = 0; i < totalPixels; i++) {
+                    const error = errorOf(pixelCell[i], labelData[i]);
+                    if (error < maxDeltaE) continue;
+                    const bin = bins[cellBin[pixelCell[i]]];
+                    bin.error += error;
+                    bin.r += data[i * 4];
+                    bin.g += data[i * 4 + 1];
+                    bin.b += data[i * 4 + 2];
+                    bin.count++;
+                }
+
+                // Hues with few palette colours of their own come first, so a
+                // large, well covered area does not take every slot
+                const coverage = new Array(13).fill(0);
+                centres.forEach(centre => { coverage[binOf(centre.lab)]++; });
+                const candidate = bins
+                    .map((bin, index) => ({ ...bin, score: bin.error / (1 + coverage[index]) }))
+                    .filter(bin => bin.count > 0)
+                    .sort((p, q) => q.score - p.score)
+                    .map(bin => this.updateCluster({ r: bin.r, g: bin.g, b: bin.b, count: bin.count }))
+                    .find(cluster => [...centres.map(centre => centre.lab), ...mergedLabs]
+                        .every(lab => Utils.deltaE2000(lab, cluster.lab) >= margin));
+                if (!candidate) break;
+
+                // Pixels closer to the new colour move to it
+                const index = centres.length;
+                centres.push(candidate);
+                added.push(index);
+                for (let i = 0; i < totalPixels; i++) {
+                    if (errorOf(pixelCell[i], index) < errorOf(pixelCell[i], labelData[i])) labelData[i] = index;
+                }
+            }
+        }
+
+        // Colours settle on the mean of their pixels; any left empty are dropped
+        const final = meanColors(centres.length);
+        const finalIndex = new Int32Array(final.length).fill(-1);
+        const palette = [];
+        final.forEach((cluster, i) => {
+            if (cluster.count === 0) return;
+            finalIndex[i] = palette.length;
+            palette.push({
+                id: palette.length + 1,
+                rgb: cluster.rgb,
+                hex: cluster.hex,
+                name: Utils.getColorName(cluster.rgb.r, cluster.rgb.g, cluster.rgb.b)
+            });
+        });
+        relabel(finalIndex);
+
+        quantization.quantized.delete();
+        const quantized = new cv.Mat(imageData.height, imageData.width, cv.CV_8UC3);
+        const quantizedData = quantized.data;
+        for (let i = 0; i < totalPixels; i++) {
+            const color = palette[labelData[i]].rgb;
+            quantizedData[i * 3] = color.r;
+            quantizedData[i * 3 + 1] = color.g;
+            quantizedData[i * 3 + 2] = color.b;
+        }
+
+        const idOf = index => (finalIndex[index] >= 0 ? finalIndex[index] + 1 : null);
+        console.log(`ColorQuantizer: Merged ${merged.length} near-duplicate colors, added ${added.length}`);
+        return {
+            quantized,
+            palette,
+            labels: quantization.labels,
+            merges: {
+                merged: merged.map(({ colors, deltaE, keep }) => ({ colors, deltaE, into: idOf(compact[root(keep)]) })),
+                added: added.map(idOf).filter(id => id !== null)
+            }
+        };
+    }
+
+    /**
+     * Set a cluster's mean colour from its RGB sums
+     * @param {{r, g, b, count}} cluster - Sums; gains rgb, hex and lab
+     * @returns {Object} The cluster
+     */
+    updateCluster(cluster) {
+        const rgb = cluster.count > 0
+            ? {
+                r: Math.round(cluster.r / cluster.count),
+                g: Math.round(cluster.g / cluster.count),
+                b: Math.round(cluster.b / cluster.count)
+            }
+            : { r: 128, g: 128, b: 128 };
+        cluster.rgb = rgb;
+        cluster.hex = Utils.rgbToHex(rgb.r, rgb.g, rgb.b);
+        cluster.lab = Utils.rgbToLab(rgb.r, rgb.g, rgb.b);
+        return cluster;
+    }
+
+    /**
+     * Histogram key of an RGBA pixel at `bits` per channel
+     * @param {Uint8ClampedArray} data
+     * @param {number} offset
+     * @param {number} bits
+     * @returns {number}
+     */
+    colorKey(data, offset, bits) {
+        const shift = 8 - bits;
+        return ((data[offset] >> shift) << (2 * bits)) |
+            ((data[offset + 1] >> shift) << bits) |
+            (data[offset + 2] >> shift);
+    }
+
+    /**
+     * Colour histogram of an RGBA buffer on a reduced-precision grid
+     * @param {Uint8ClampedArray} data
+     * @param {number} totalPixels
+     * @param {number} bits - Bits per channel
+     * @returns {{cellIndex: Int32Array, cells: Array<{key: number, count: number, lab: Object}>}}
+     */
+    buildColorHistogram(data, totalPixels, bits) {
+        const size = 1 << (3 * bits);
+        const cellIndex = new Int32Array(size).fill(-1);
+        const sums = [];
+
+        for (let i = 0; i < totalPixels; i++) {
+            const offset = i * 4;
+            const key = this.colorKey(data, offset, bits);
+            let index = cellIndex[key];
+            if (index === -1) {
+                index = sums.length;
+                cellIndex[key] = index;
+                sums.push({ key, r: 0, g: 0, b: 0, count: 0 });
+            }
+            const sum = sums[index];
+            sum.r += data[offset];
+            sum.g += data[offset + 1];
+            sum.b += data[offset + 2];
+            sum.count++;
+        }
+
+        // Cells are represented by their mean colour
+        const cells = sums.map(sum => ({
+            key: sum.key,
+            count: sum.count,
+            lab: Utils.rgbToLab(sum.r / sum.count, sum.g / sum.count, sum.b / sum.count)
+        }));
+
+        return { cellIndex, cells };
+    }
+
+    /**
+     * Pick the N inventory colours that best reproduce the image: greedy
+     * selection minimising the pixel-weighted CIEDE2000 error
+     * @param {Array} inventory - Colours with `lab`
+     * @param {Array} cells - Histogram cells with `lab` and `count`
+     * @param {number} numColors
+     * @returns {Array<number>} Chosen inventory indices
+     */
+    selectPaletteSubset(inventory, cells, numColors) {
+        const n = inventory.length;
+        const distances = new Float32Array(cells.length * n);
+        cells.forEach((cell, i) => {
+            inventory.forEach((color, j) => {
+                distances[i * n + j] = Utils.deltaE2000(cell.lab, color.lab);
+            });
+        });
+
+        const bestDistance = new Float64Array(cells.length).fill(Infinity);
+        const chosen = [];
+
+        while (chosen.length < numColors) {
+            let bestCandidate = -1;
+            let bestCost = Infinity;
+
+            for (let j = 0; j < n; j++) {
+                if (chosen.includes(j)) continue;
+                let cost = 0;
+                for (let i = 0; i < cells.length; i++) {
+                    cost += cells[i].count * Math.min(bestDistance[i], distances[i * n + j]);
+                }
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestCandidate = j;
+                }
+            }
+
+            if (bestCandidate === -1) break;
+            chosen.push(bestCandidate);
+            for (let i = 0; i < cells.length; i++) {
+                bestDistance[i] = Math.min(bestDistance[i], distances[i * n + bestCandidate]);
+            }
+        }
+
+        return chosen;
+    }
+
+    /**
+     * Recommend a number of colours for an image: k-means on a sample of
+     * its pixels for every K up to 16 and every 8th K above, then the elbow
+     * of the error curve, moved to the neighbouring K with the best
+     * (simplified) silhouette whose closest two colours are still easy to
+     * tell apart
+     * @param {ImageData} imageData - Source image (a small copy is plenty)
+     * @param {Object} options
+     * @param {number} options.minK - Smallest K analysed
+     * @param {number} options.maxK - Largest K analysed
+     * @param {number} options.minColors - Recommendation range (the colour slider's)
+     * @param {number} options.maxColors
+     * @param {number} options.minDeltaE - Closest centres must be at least this far apart (CIEDE2000)
+     * @param {number} options.sampleSize - Pixels sampled
+     * @returns {{recommended: number, elbow: number, rows: Array<{k, error, silhouette, minDeltaE}>}}
+     *   error is the RMS Lab distance from each sampled pixel to its centre
+     */
+    recommendColorCount(imageData, options = {}) {
+        const {
+            minK = 2,
+            maxK = 16,
+            minColors = 6,
+            maxColors = 16,
+            minDeltaE = 5,
+            sampleSize = 2000
+        } = options;
+
+        // Fixed seed, so the same image always gets the same advice
+        let seed = 12345;
+        const random = () => {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            return seed / 4294967296;
+        };
+
+        // Sample opaque pixels into Lab
+        const { data } = imageData;
+        const totalPixels = imageData.width * imageData.height;
+        const step = Math.max(1, Math.floor(totalPixels / sampleSize));
+        const points = [];
+        for (let i = Math.floor(random() * step); i < totalPixels; i += step) {
+            if (data[i * 4 + 3] < 128) continue;
+            points.push(Utils.rgbToLab(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]));
+        }
+        if (points.length === 0) return { recommended: minColors, elbow: minColors, rows: [] };
+
+        const rows = [];
+        for (let k = minK; k <= Math.min(maxK, points.length); k += k < 16 ? 1 : 8) {
+            const { centers, assignments, sse } = this.kmeansSample(points, k, random);
+
+            // Simplified silhouette: own centre against the nearest other one
+            let silhouette = 0;
+            points.forEach((p, i) => {
+                const own = Math.sqrt(this.labDistanceSq(p, centers[assignments[i]]));
+                let other = Infinity;
+                centers.forEach((c, j) => {
+                    if (j !== assignments[i]) other = Math.min(other, Math.sqrt(this.labDistanceSq(p, c)));
+                });
+                const spread = Math.max(own, other);
+                silhouette += spread > 0 && other < Infinity ? (other - own) / spread : 0;
+            });
+
+            let closest = Infinity;
+            for (let a = 0; a < centers.length; a++) {
+                for (let b = a + 1; b < centers.length; b++) {
+                    closest = Math.min(closest, Utils.deltaE2000(centers[a], centers[b]));
+                }
+            }
+
+            rows.push({
+                k,
+                error: Math.sqrt(sse / points.length),
+                silhouette: silhouette / points.length,
+                minDeltaE: closest
+            });
+        }
+        if (rows.length === 0) return { recommended: minColors, elbow: minColors, rows };
+
+        // Elbow: farthest point below the straight line from first to last error
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+        let elbow = first.k;
+        let bestGap = -Infinity;
+        rows.forEach(row => {
+            const t = (row.k - first.k) / Math.max(1, last.k - first.k);
+            const gap = (first.error + (last.error - first.error) * t) - row.error;
+            if (gap > bestGap) {
+                bestGap = gap;
+                elbow = row.k;
+            }
+        });
+
+        // Around the elbow, inside the slider range: best silhouette among
+        // counts whose colours stay distinct
+        const clamp = k => Math.min(maxColors, Math.max(minColors, k));
+        const reach = elbow < 16 ? 2 : 8;
+        const candidates = rows.filter(row =>
+            row.k >= clamp(elbow - reach) && row.k <= clamp(elbow + reach) && row.k >= minColors && row.k <= maxColors
+        );
+        const distinct = candidates.filter(row => row.minDeltaE >= minDeltaE);
+        const pool = distinct.length > 0 ? distinct : candidates.slice(0, 1);
+        const recommended = pool.length > 0
+            ? pool.reduce((best, row) => (row.silhouette > best.silhouette ? row : best)).k
+            : clamp(elbow);
+
+        return { recommended, elbow, rows };
+    }
+
+    /**
+     * K-means (k-means++ seeding) over Lab points
+     * @param {Array<{l, a, b}>} points
+     * @param {number} k
+     * @param {Function} random - Returns [0, 1)
+     * @param {number} iterations
+     * @returns {{centers: Array<{l, a, b}>, assignments: Int32Array, sse: number}}
+     */
+    kmeansSample(points, k, random, iterations = 25) {
+        const n = points.length;
+
+        // k-means++: each new centre drawn with probability by squared distance
+        const centers = [{ ...points[Math.floor(random() * n)] }];
+        const nearest = new Float64Array(n).fill(Infinity);
+        while (centers.length < k) {
+            let total = 0;
+            points.forEach((p, i) => {
+                nearest[i] = Math.min(nearest[i], this.labDistanceSq(p, centers[centers.length - 1]));
+                total += nearest[i];
+            });
+            if (total === 0) break;
+            let target = random() * total;
+            let pick = n - 1;
+            for (let i = 0; i < n; i++) {
+                target -= nearest[i];
+                if (target <= 0) {
+                    pick = i;
+                    break;
+                }
+            }
+            centers.push({ ...points[pick] });
+        }
+
+        const assignments = new Int32Array(n);
+        let sse = 0;
+        for (let iter = 0; iter < iterations; iter++) {
+            let changed = iter === 0;
+            sse = 0;
+            points.forEach((p, i) => {
+                let best = 0;
+                let bestDistance = Infinity;
+                centers.forEach((c, j) => {
+                    const d = this.labDistanceSq(p, c);
+                    if (d < bestDistance) {
+                        bestDistance = d;
+                        best = j;
+                    }
+                });
+                if (assignments[i] !== best) {
+                    assignments[i] = best;
+                    changed = true;
+                }
+                sse += bestDistance;
+            });
+            if (!changed) break;
+
+            const sums = centers.map(() => ({ l: 0, a: 0, b: 0, count: 0 }));
+            points.forEach((p, i) => {
+                const sum = sums[assignments[i]];
+                sum.l += p.l;
+                sum.a += p.a;
+                sum.b += p.b;
+                sum.count++;
+            });
+            sums.forEach((sum, j) => {
+                if (sum.count > 0) centers[j] = { l: sum.l / sum.count, a: sum.a / sum.count, b: sum.b / sum.count };
+            });
+        }
+
+        return { centers, assignments, sse };
+    }
+
+    /**
+     * @param {{l, a, b}} p
+     * @param {{l, a, b}} q
+     * @returns {number} Squared Lab (CIE76) distance
+     */
+    labDistanceSq(p, q) {
+        return (p.l - q.l) ** 2 + (p.a - q.a) ** 2 + (p.b - q.b) ** 2;
+    }
+
     /**
      * Convert Lab to RGB
      * @param {number} l - Lightness (0-100)
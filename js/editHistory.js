@@ -0,0 +1,102 @@
+/* ============================================
+   Edit History - Undo/Redo for Result Edits
+   ============================================ */
+
+/**
+ * Snapshot-based undo/redo for the palette and region editors. A snapshot
+ * holds copies of everything an edit can change: the label map, the colour
+ * per label, the palette, the regions, edges and adjacency graph traced
+ * from them, and the count of slivers absorbed.
+ */
+class EditHistory {
+    /**
+     * @param {number} limit - Most undo steps kept (each holds a copy of the label map)
+     */
+    constructor(limit = 20) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Copy the editable state of a result
+     * @param {Object} result
+     * @returns {Object} Snapshot
+     */
+    static capture(result) {
+        return {
+            labelMap: result.labelMap.slice(),
+            labelColors: result.labelColors.slice(),
+            palette: result.palette.map(color => ({ ...color, rgb: { ...color.rgb } })),
+            // Region geometry is never modified in place, only colorId/color
+            regions: result.regions.map(region => ({ ...region })),
+            edges: result.edges,
+            // Rebuilt rather than updated by edits, like the edges
+            adjacency: result.adjacency,
+            slivers: result.slivers
+        };
+    }
+
+    /**
+     * Put a snapshot back into a result (the snapshot is used up)
+     * @param {Object} result
+     * @param {Object} snapshot - From capture()
+     */
+    static restore(result, snapshot) {
+        result.labelMap = snapshot.labelMap;
+        result.labelColors = snapshot.labelColors;
+        result.palette = snapshot.palette;
+        result.regions = snapshot.regions;
+        result.edges = snapshot.edges;
+        result.adjacency = snapshot.adjacency;
+        result.slivers = snapshot.slivers;
+        result.regions.forEach(region => {
+            region.color = result.palette[region.colorId - 1];
+        });
+    }
+
+    /**
+     * Record the state from before an edit
+     * @param {Object} snapshot - From capture(), taken before the edit
+     */
+    push(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    /**
+     * @param {Object} result
+     * @returns {boolean} Whether there was anything to undo
+     */
+    undo(result) {
+        if (this.undoStack.length === 0) return false;
+        this.redoStack.push(EditHistory.capture(result));
+        EditHistory.restore(result, this.undoStack.pop());
+        return true;
+    }
+
+    /**
+     * @param {Object} result
+     * @returns {boolean} Whether there was anything to redo
+     */
+    redo(result) {
+        if (this.redoStack.length === 0) return false;
+        this.undoStack.push(EditHistory.capture(result));
+        EditHistory.restore(result, this.redoStack.pop());
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
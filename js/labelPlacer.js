@@ -0,0 +1,428 @@
+/* ============================================
+   Label Placer - Number Placement
+   ============================================ */
+
+class LabelPlacer {
+    constructor() {
+        this.regionExtractor = new RegionExtractor();
+    }
+
+    /**
+     * Find the pole of inaccessibility: the point inside a polygon that is
+     * farthest from its boundary (outer ring and holes). Grid search with
+     * cell refinement, after Mapbox "polylabel".
+     * @param {{contour: Array, holes: Array}} polygon
+     * @param {number} precision - Stop refining below this gain (px)
+     * @returns {{x: number, y: number, radius: number}} Point and distance to boundary
+     */
+    findPole(polygon, precision = 1.0) {
+        const rings = [polygon.contour, ...(polygon.holes || [])];
+        const contour = polygon.contour;
+
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        contour.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const cellSize = Math.min(width, height);
+        if (cellSize === 0) return { x: minX, y: minY, radius: 0 };
+
+        const makeCell = (x, y, h) => {
+            const d = this.signedDistance({ x, y }, rings);
+            return { x, y, h, d, max: d + h * Math.SQRT2 };
+        };
+
+        // Cover the polygon with initial cells; the queue is a max-heap on
+        // each cell's potential, so popping the best cell stays cheap
+        const queue = [];
+        const half = cellSize / 2;
+        for (let x = minX; x < maxX; x += cellSize) {
+            for (let y = minY; y < maxY; y += cellSize) {
+                this.heapPush(queue, makeCell(x + half, y + half, half));
+            }
+        }
+
+        // Start from the area centroid, and the bbox centre as a fallback
+        let best = makeCell(minX + width / 2, minY + height / 2, 0);
+        const centroid = this.regionExtractor.calculateCentroid(contour);
+        const centroidCell = makeCell(centroid.x, centroid.y, 0);
+        if (centroidCell.d > best.d) best = centroidCell;
+
+        while (queue.length > 0) {
+            const cell = this.heapPop(queue);
+
+            if (cell.d > best.d) best = cell;
+
+            // No better solution possible in this cell
+            if (cell.max - best.d <= precision) continue;
+
+            const h = cell.h / 2;
+            this.heapPush(queue, makeCell(cell.x - h, cell.y - h, h));
+            this.heapPush(queue, makeCell(cell.x + h, cell.y - h, h));
+            this.heapPush(queue, makeCell(cell.x - h, cell.y + h, h));
+            this.heapPush(queue, makeCell(cell.x + h, cell.y + h, h));
+        }
+
+        return { x: best.x, y: best.y, radius: Math.max(0, best.d) };
+    }
+
+    /**
+     * Add a cell to a binary max-heap ordered by `max`
+     * @param {Array} heap
+     * @param {Object} cell
+     */
+    heapPush(heap, cell) {
+        let i = heap.length;
+        heap.push(cell);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].max >= cell.max) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = cell;
+    }
+
+    /**
+     * Remove and return the cell with the highest `max`
+     * @param {Array} heap - Not empty
+     * @returns {Object}
+     */
+    heapPop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length === 0) return top;
+
+        let i = 0;
+        const half = heap.length >> 1;
+        while (i < half) {
+            let child = 2 * i + 1;
+            if (child + 1 < heap.length && heap[child + 1].max > heap[child].max) child++;
+            if (heap[child].max <= last.max) break;
+            heap[i] = heap[child];
+            i = child;
+        }
+        heap[i] = last;
+        return top;
+    }
+
+    /**
+     * Distance from point to the nearest ring edge, negative outside
+     * @param {{x: number, y: number}} point
+     * @param {Array} rings - Outer ring followed by holes
+     * @returns {number}
+     */
+    signedDistance(point, rings) {
+        let inside = false;
+        let minDistSq = Infinity;
+
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i];
+                const b = ring[j];
+
+                if ((a.y > point.y) !== (b.y > point.y) &&
+                    point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+
+                minDistSq = Math.min(minDistSq, this.segmentDistanceSq(point, a, b));
+            }
+        });
+
+        return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+    }
+
+    /**
+     * Squared distance from point to segment a-b
+     * @returns {number}
+     */
+    segmentDistanceSq(p, a, b) {
+        let x = a.x;
+        let y = a.y;
+        let dx = b.x - x;
+        let dy = b.y - y;
+
+        if (dx !== 0 || dy !== 0) {
+            const t = ((p.x - x) * dx + (p.y - y) * dy) / (dx * dx + dy * dy);
+            if (t > 1) {
+                x = b.x;
+                y = b.y;
+            } else if (t > 0) {
+                x += dx * t;
+                y += dy * t;
+            }
+        }
+
+        dx = p.x - x;
+        dy = p.y - y;
+        return dx * dx + dy * dy;
+    }
+
+    /**
+     * Place number labels for all regions.
+     * Labels are sized to fit the region's inscribed circle (between minSize
+     * and maxSize), moved to another roomy spot inside the region when they
+     * would overlap an already placed label, and pushed out with a leader
+     * line when the region is too narrow for even the smallest label.
+     * With `repeatSpacing` set, large regions (area above spacing squared) and
+     * elongated ones (compactness below `elongationThreshold`) get extra
+     * copies of their number at least that far apart.
+     * With `adjacency` set, leader lines first head towards the roomiest
+     * touching region, where the number has the most open paint around it.
+     * A region in several pieces gets a number in every piece whose pole is
+     * at least `minPieceRadius` from its border, and always in the largest.
+     * @param {Array} regions - Regions with polygons and labelPoint
+     * @param {Object} options
+     * @param {RegionAdjacencyGraph} [options.adjacency] - Which regions touch
+     * @param {number} [options.minPieceRadius] - Smallest pole radius (px) of
+     *   a secondary piece that still gets its own number
+     * @param {Map<number, string>} [options.labelText] - Text per palette id
+     *   (e.g. family codes); the colour number otherwise
+     * @returns {Array<{regionId, text, x, y, fontSize, leader}>}
+     */
+    placeLabels(regions, options) {
+        const {
+            width,
+            height,
+            maxSize = 12,
+            minSize = Math.max(6, Math.round(maxSize * 0.5)),
+            leaderDistance = maxSize * 3,
+            repeatSpacing = 0,
+            elongationThreshold = 0.3,
+            adjacency = null,
+            labelText = null,
+            minPieceRadius = 2
+        } = options;
+
+        const byId = new Map(regions.map(region => [region.id, region]));
+
+        const placed = [];
+        const grid = new Map();
+        const cell = Math.max(16, maxSize * 2);
+
+        const boxFor = (x, y, text, fontSize) => {
+            const w = text.length * fontSize * 0.6 + 2;
+            const h = fontSize + 2;
+            return { x0: x - w / 2, y0: y - h / 2, x1: x + w / 2, y1: y + h / 2 };
+        };
+
+        const cellsFor = box => {
+            const keys = [];
+            for (let gx = Math.floor(box.x0 / cell); gx <= Math.floor(box.x1 / cell); gx++) {
+                for (let gy = Math.floor(box.y0 / cell); gy <= Math.floor(box.y1 / cell); gy++) {
+                    keys.push(gx + ',' + gy);
+                }
+            }
+            return keys;
+        };
+
+        const collides = box => cellsFor(box).some(key => (grid.get(key) || []).some(other =>
+            box.x0 < other.x1 && box.x1 > other.x0 && box.y0 < other.y1 && box.y1 > other.y0
+        ));
+
+        const inBounds = box => box.x0 >= 0 && box.y0 >= 0 && box.x1 <= width && box.y1 <= height;
+
+        const reserve = box => {
+            cellsFor(box).forEach(key => {
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(box);
+            });
+        };
+
+        // One label per piece, most constrained first so they get their best spot
+        const ordered = regions
+            .filter(r => r.labelPoint)
+            .flatMap(region => this.labelPieces(region, minPieceRadius).map(piece => ({ region, ...piece })))
+            .sort((a, b) => a.pole.radius - b.pole.radius);
+
+        ordered.forEach(piece => {
+            const { region, polygon, pole } = piece;
+            const text = (labelText && labelText.get(region.colorId)) || String(region.colorId);
+
+            // Largest font whose label box fits in the inscribed circle
+            const fitSize = (2 * pole.radius) / Math.hypot(text.length * 0.6, 1);
+            const fontSize = Math.min(maxSize, Math.floor(fitSize));
+
+            if (fontSize >= minSize) {
+                const poleBox = boxFor(pole.x, pole.y, text, fontSize);
+                if (!collides(poleBox)) {
+                    reserve(poleBox);
+                    piece.label = { regionId: region.id, text, x: pole.x, y: pole.y, fontSize, leader: null };
+                    placed.push(piece.label);
+                    return;
+                }
+
+                for (const spot of this.findRoomySpots(polygon, fontSize, text)) {
+                    const box = boxFor(spot.x, spot.y, text, fontSize);
+                    if (!collides(box)) {
+                        reserve(box);
+                        piece.label = { regionId: region.id, text, x: spot.x, y: spot.y, fontSize, leader: null };
+                        placed.push(piece.label);
+                        return;
+                    }
+                }
+            }
+
+            // Too narrow (or every spot taken): move the label out with a leader line
+            const leaderSize = minSize;
+            const angles = this.leaderAngles(region, pole, adjacency, byId);
+            for (let step = 1; step <= 4; step++) {
+                const distance = pole.radius + leaderDistance * step / 2;
+                for (const angle of angles) {
+                    const x = pole.x + Math.cos(angle) * distance;
+                    const y = pole.y + Math.sin(angle) * distance;
+                    const box = boxFor(x, y, text, leaderSize);
+                    if (inBounds(box) && !collides(box)) {
+                        reserve(box);
+                        piece.label = {
+                            regionId: region.id,
+                            text,
+                            x,
+                            y,
+                            fontSize: leaderSize,
+                            leader: { x1: pole.x, y1: pole.y, x2: x, y2: y }
+                        };
+                        placed.push(piece.label);
+                        return;
+                    }
+                }
+            }
+
+            // Nowhere free: keep it at the pole rather than dropping the number
+            const box = boxFor(pole.x, pole.y, text, leaderSize);
+            reserve(box);
+            piece.label = { regionId: region.id, text, x: pole.x, y: pole.y, fontSize: leaderSize, leader: null };
+            placed.push(piece.label);
+        });
+
+        // Repeat the number across large or elongated pieces
+        if (repeatSpacing > 0) {
+            ordered.forEach(({ polygon, label: primary }) => {
+                if (!primary || primary.leader || !polygon) return;
+
+                const stats = this.regionExtractor.getRegionStats(polygon);
+                const large = polygon.area >= repeatSpacing * repeatSpacing;
+                const elongated = stats.compactness < elongationThreshold &&
+                    Math.max(stats.width, stats.height) >= repeatSpacing;
+                if (!large && !elongated) return;
+
+                const labels = [primary];
+                const spots = this.findRoomySpots(polygon, primary.fontSize, primary.text, repeatSpacing / 2);
+                for (const spot of spots) {
+                    if (labels.some(l => Math.hypot(l.x - spot.x, l.y - spot.y) < repeatSpacing)) continue;
+
+                    const box = boxFor(spot.x, spot.y, primary.text, primary.fontSize);
+                    if (collides(box)) continue;
+
+                    reserve(box);
+                    const repeat = { ...primary, x: spot.x, y: spot.y, repeat: true };
+                    labels.push(repeat);
+                    placed.push(repeat);
+                }
+            });
+        }
+
+        return placed;
+    }
+
+    /**
+     * Directions to try for a leader line, in order: the eight compass
+     * directions, starting with the one closest to the roomiest neighbour
+     * @param {Object} region
+     * @param {{x: number, y: number}} pole - Where the leader starts
+     * @param {RegionAdjacencyGraph|null} adjacency
+     * @param {Map<number, Object>} byId - Regions by id
+     * @returns {Array<number>} Angles in radians
+     */
+    leaderAngles(region, pole, adjacency, byId) {
+        const angles = [];
+        for (let k = 0; k < 8; k++) angles.push(-Math.PI / 4 + k * Math.PI / 4);
+        if (!adjacency) return angles;
+
+        let roomiest = null;
+        adjacency.neighbours(region.id).forEach(({ label }) => {
+            const neighbour = byId.get(label);
+            if (!neighbour || !neighbour.labelPoint) return;
+            if (!roomiest || neighbour.labelPoint.radius > roomiest.labelPoint.radius) roomiest = neighbour;
+        });
+        if (!roomiest) return angles;
+
+        const toward = Math.atan2(roomiest.labelPoint.y - pole.y, roomiest.labelPoint.x - pole.x);
+        const offset = angle => Math.abs(Math.atan2(Math.sin(angle - toward), Math.cos(angle - toward)));
+        return angles.sort((a, b) => offset(a) - offset(b));
+    }
+
+    /**
+     * Alternative label spots inside one piece of a region, roomiest first
+     * @param {{contour: Array, holes: Array}} polygon
+     * @param {number} fontSize
+     * @param {string} text
+     * @param {number} sampleStep - Sampling grid step (defaults to the label size)
+     * @returns {Array<{x: number, y: number}>}
+     */
+    findRoomySpots(polygon, fontSize, text, sampleStep = 0) {
+        if (!polygon) return [];
+
+        const rings = [polygon.contour, ...(polygon.holes || [])];
+        const needed = Math.hypot(text.length * fontSize * 0.6, fontSize) / 2;
+        const step = Math.max(sampleStep || needed, 2);
+
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        polygon.contour.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+
+        const spots = [];
+        for (let y = minY + step / 2; y < maxY; y += step) {
+            for (let x = minX + step / 2; x < maxX; x += step) {
+                const d = this.signedDistance({ x, y }, rings);
+                if (d >= needed) spots.push({ x, y, d });
+            }
+        }
+
+        return spots.sort((a, b) => b.d - a.d);
+    }
+
+    /**
+     * Pieces of a region that get a number: the largest, which carries the
+     * region's labelPoint, plus every other piece roomy enough. Regions from
+     * older results have no pole per piece and keep their single number.
+     * @param {Object} region
+     * @param {number} minRadius - Smallest pole radius of a secondary piece
+     * @returns {Array<{polygon: Object, pole: {x, y, radius}}>}
+     */
+    labelPieces(region, minRadius) {
+        const main = this.mainPolygon(region);
+        const polygons = region.polygons || [];
+        if (polygons.length < 2 || !polygons.every(p => p.labelPoint)) {
+            return [{ polygon: main, pole: region.labelPoint }];
+        }
+
+        return polygons
+            .filter(p => p === main || p.labelPoint.radius >= minRadius)
+            .map(p => ({ polygon: p, pole: p === main ? region.labelPoint : p.labelPoint }));
+    }
+
+    /**
+     * Largest piece of a region
+     * @param {Object} region
+     * @returns {{contour: Array, holes: Array}|null}
+     */
+    mainPolygon(region) {
+        if (region.polygons && region.polygons.length > 0) {
+            return region.polygons.reduce((best, p) => (p.area > best.area ? p : best));
+        }
+        return region.contour ? { contour: region.contour, holes: [], area: region.area } : null;
+    }
+}
@@ -0,0 +1,115 @@
+/* ============================================
+   Mask Painter - Brush Strokes over the Image
+   ============================================ */
+
+/**
+ * A coarse grid of values painted with a round brush over the original
+ * image. The grid keeps the image's aspect ratio at a fixed small size, so
+ * masks cost little to send to the worker whatever the image size, and are
+ * resampled to the processing size there.
+ */
+class MaskPainter {
+    /**
+     * @param {number} width - Grid cells
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.data = new Float32Array(width * height);
+    }
+
+    /**
+     * Grid for an image, with its long side `maxSize` cells
+     * @param {number} imageWidth
+     * @param {number} imageHeight
+     * @param {number} maxSize
+     * @returns {MaskPainter}
+     */
+    static forImage(imageWidth, imageHeight, maxSize = 256) {
+        const scale = maxSize / Math.max(imageWidth, imageHeight);
+        return new MaskPainter(
+            Math.max(1, Math.round(imageWidth * scale)),
+            Math.max(1, Math.round(imageHeight * scale))
+        );
+    }
+
+    /**
+     * Set every cell within the brush of a point
+     * @param {number} x - Grid cells
+     * @param {number} y
+     * @param {number} radius - Grid cells
+     * @param {number} value
+     */
+    paint(x, y, radius, value) {
+        const x0 = Math.max(0, Math.floor(x - radius));
+        const x1 = Math.min(this.width - 1, Math.ceil(x + radius));
+        const y0 = Math.max(0, Math.floor(y - radius));
+        const y1 = Math.min(this.height - 1, Math.ceil(y + radius));
+        for (let cy = y0; cy <= y1; cy++) {
+            for (let cx = x0; cx <= x1; cx++) {
+                if ((cx + 0.5 - x) ** 2 + (cy + 0.5 - y) ** 2 <= radius * radius) {
+                    this.data[cy * this.width + cx] = value;
+                }
+            }
+        }
+    }
+
+    /**
+     * Paint along a segment, dabbing every half radius
+     * @param {{x, y}} from - Grid cells
+     * @param {{x, y}} to
+     * @param {number} radius
+     * @param {number} value
+     */
+    stroke(from, to, radius, value) {
+        const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / Math.max(0.5, radius / 2)));
+        for (let s = 0; s <= steps; s++) {
+            const t = s / steps;
+            this.paint(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius, value);
+        }
+    }
+
+    clear() {
+        this.data.fill(0);
+    }
+
+    /**
+     * @returns {boolean} Whether nothing has been painted
+     */
+    isEmpty() {
+        return this.data.every(value => value === 0);
+    }
+
+    /**
+     * Plain copy for postMessage
+     * @returns {{width: number, height: number, data: Float32Array}}
+     */
+    toJSON() {
+        return { width: this.width, height: this.height, data: this.data.slice() };
+    }
+
+    /**
+     * Draw the painted cells over a canvas, tinted by sign
+     * @param {CanvasRenderingContext2D} ctx - Sized to the image
+     * @param {Object} colors
+     * @param {Array<number>} colors.positive - RGBA, alpha 0-255, for values above 0
+     * @param {Array<number>} colors.negative - RGBA for values below 0
+     */
+    draw(ctx, colors) {
+        const grid = document.createElement('canvas');
+        grid.width = this.width;
+        grid.height = this.height;
+        const gridCtx = grid.getContext('2d');
+        const image = gridCtx.createImageData(this.width, this.height);
+        this.data.forEach((value, i) => {
+            if (value === 0) return;
+            const color = value > 0 ? colors.positive : colors.negative;
+            image.data.set([color[0], color[1], color[2], Math.round(color[3] * Math.min(1, Math.abs(value)))], i * 4);
+        });
+        gridCtx.putImageData(image, 0, 0);
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(grid, 0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+}
@@ -0,0 +1,125 @@
+/* ============================================
+   Paint Catalog - Brand Paint Matching
+   ============================================ */
+
+// Registered catalogues by id (filled by the data/paints/*.js files)
+const PAINT_CATALOGS = new Map();
+
+class PaintCatalog {
+    /**
+     * Register a brand catalogue
+     * @param {Object} catalog - { id, brand, line, note, paints: [{ code, name, hex }] }
+     */
+    static register(catalog) {
+        const paints = catalog.paints.map(paint => {
+            const rgb = Utils.hexToRgb(paint.hex);
+            return { ...paint, brand: catalog.brand, rgb, lab: Utils.rgbToLab(rgb.r, rgb.g, rgb.b) };
+        });
+        PAINT_CATALOGS.set(catalog.id, { ...catalog, paints });
+    }
+
+    /**
+     * Registered catalogues
+     * @returns {Array<{id: string, brand: string, line: string}>}
+     */
+    static list() {
+        return [...PAINT_CATALOGS.values()].map(({ id, brand, line }) => ({ id, brand, line }));
+    }
+
+    /**
+     * Match quality label for a CIEDE2000 difference
+     * @param {number} deltaE
+     * @returns {string}
+     */
+    static quality(deltaE) {
+        if (deltaE < 2) return 'Excellent';
+        if (deltaE < 5) return 'Good';
+        if (deltaE < 10) return 'Fair';
+        return 'Poor';
+    }
+
+    /**
+     * Find the nearest catalogue paint for each palette colour
+     * @param {Array} palette - Palette from ColorQuantizer
+     * @param {string} catalogId - Catalogue id, or 'all' to search every brand
+     * @returns {Map<number, {paint: Object, deltaE: number, quality: string}>} By palette id
+     */
+    match(palette, catalogId) {
+        const paints = catalogId === 'all'
+            ? [...PAINT_CATALOGS.values()].flatMap(catalog => catalog.paints)
+            : (PAINT_CATALOGS.get(catalogId) || { paints: [] }).paints;
+
+        const matches = new Map();
+        if (paints.length === 0) return matches;
+
+        palette.forEach(color => {
+            const lab = Utils.rgbToLab(color.rgb.r, color.rgb.g, color.rgb.b);
+            let best = null;
+            let bestDistance = Infinity;
+
+            paints.forEach(paint => {
+                const distance = Utils.deltaE2000(lab, paint.lab);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = paint;
+                }
+            });
+
+            matches.set(color.id, {
+                paint: { brand: best.brand, code: best.code, name: best.name, hex: best.hex },
+                deltaE: bestDistance,
+                quality: PaintCatalog.quality(bestDistance)
+            });
+        });
+
+        return matches;
+    }
+
+    /**
+     * One row per paint to buy, with the template numbers it is used for
+     * @param {Array} palette
+     * @param {Map} matches - From match()
+     * @returns {Array<Object>}
+     */
+    shoppingList(palette, matches) {
+        const rows = new Map();
+
+        palette.forEach(color => {
+            const match = matches.get(color.id);
+            if (!match) return;
+
+            const key = `${match.paint.brand}|${match.paint.code}|${match.paint.name}`;
+            if (!rows.has(key)) {
+                rows.set(key, { ...match.paint, numbers: [], worstDeltaE: 0 });
+            }
+            const row = rows.get(key);
+            row.numbers.push(color.id);
+            row.worstDeltaE = Math.max(row.worstDeltaE, match.deltaE);
+        });
+
+        return [...rows.values()];
+    }
+
+    /**
+     * Shopping list as CSV
+     * @param {Array} palette
+     * @param {Map} matches - From match()
+     * @returns {string}
+     */
+    shoppingListCSV(palette, matches) {
+        const rows = this.shoppingList(palette, matches).map(row => [
+            row.brand,
+            row.code,
+            row.name,
+            row.hex,
+            row.numbers.join(' '),
+            row.worstDeltaE.toFixed(1),
+            PaintCatalog.quality(row.worstDeltaE)
+        ]);
+
+        return Utils.toCSV([
+            ['Brand', 'Code', 'Paint', 'Paint Hex', 'Numbers', 'Delta E 2000', 'Match'],
+            ...rows
+        ]);
+    }
+}
@@ -0,0 +1,171 @@
+/* ============================================
+   Paint Estimator - Area, Paint and Time per Colour
+   ============================================ */
+
+class PaintEstimator {
+    /**
+     * @param {Object} options
+     * @param {number} options.coverage - cm² one ml of paint covers in one coat
+     * @param {number} options.coats - Number of coats
+     * @param {number} options.secondsPerRegion - Time to load a brush and start a region
+     * @param {number} options.secondsPerCm2 - Time to fill one cm²
+     */
+    constructor(options = {}) {
+        const {
+            coverage = 60,
+            coats = 2,
+            secondsPerRegion = 20,
+            secondsPerCm2 = 1.5
+        } = options;
+
+        this.coverage = coverage;
+        this.coats = coats;
+        this.secondsPerRegion = secondsPerRegion;
+        this.secondsPerCm2 = secondsPerCm2;
+    }
+
+    /**
+     * Aggregate region areas per palette colour
+     * @param {Array} regions - From WatershedProcessor (area in px², colorId)
+     * @param {Array} palette
+     * @param {Object} size
+     * @param {number} size.width - Template width in px
+     * @param {number} size.height - Template height in px
+     * @param {PrintSize|null} size.printSize - Needed for cm², ml and fill time
+     * @returns {{rows: Array<Object>, totals: Object, physical: boolean}}
+     *   rows: { id, name, hex, regions, areaPx, share, areaCm2, ml, minutes },
+     *   with areaCm2 and ml null when no print size is set
+     */
+    estimate(regions, palette, { width, height, printSize = null }) {
+        const resolved = printSize ? printSize.resolve(width, height) : null;
+        const cmPerPx = resolved ? (resolved.widthIn * 2.54) / width : null;
+
+        const byColor = new Map(palette.map(color => [color.id, { regions: 0, areaPx: 0 }]));
+        regions.forEach(region => {
+            const entry = byColor.get(region.colorId);
+            if (!entry) return;
+            entry.regions++;
+            entry.areaPx += region.area;
+        });
+
+        const totalPx = [...byColor.values()].reduce((sum, entry) => sum + entry.areaPx, 0);
+
+        const rows = palette.map(color => {
+            const { regions: count, areaPx } = byColor.get(color.id);
+            const areaCm2 = cmPerPx ? areaPx * cmPerPx * cmPerPx : null;
+            return {
+                id: color.id,
+                name: color.name,
+                hex: color.hex,
+                regions: count,
+                areaPx,
+                share: totalPx > 0 ? areaPx / totalPx : 0,
+                areaCm2,
+                ml: areaCm2 !== null ? this.paintMl(areaCm2) : null,
+                minutes: this.paintMinutes(count, areaCm2)
+            };
+        });
+
+        const sum = key => rows.reduce((total, row) => total + row[key], 0);
+        const totals = {
+            regions: sum('regions'),
+            areaPx: totalPx,
+            areaCm2: cmPerPx ? sum('areaCm2') : null,
+            ml: cmPerPx ? sum('ml') : null,
+            minutes: sum('minutes')
+        };
+
+        return { rows, totals, physical: cmPerPx !== null };
+    }
+
+    /**
+     * Paint needed for an area over all coats
+     * @param {number} areaCm2
+     * @returns {number} ml
+     */
+    paintMl(areaCm2) {
+        return (areaCm2 * this.coats) / this.coverage;
+    }
+
+    /**
+     * Painting time: a fixed cost per region, plus fill time when the
+     * physical area is known
+     * @param {number} regionCount
+     * @param {number|null} areaCm2
+     * @returns {number} Minutes
+     */
+    paintMinutes(regionCount, areaCm2) {
+        const fill = areaCm2 !== null ? areaCm2 * this.secondsPerCm2 * this.coats : 0;
+        return (regionCount * this.secondsPerRegion + fill) / 60;
+    }
+
+    /**
+     * One-line legend summary for an estimate row
+     * @param {Object} row - From estimate()
+     * @returns {string}
+     */
+    static summary(row) {
+        const parts = row.areaCm2 !== null
+            ? [`${row.areaCm2.toFixed(1)} cm²`, `${row.ml.toFixed(1)} ml`]
+            : [`${(row.share * 100).toFixed(1)}% of area`];
+        parts.push(`${row.regions} region${row.regions === 1 ? '' : 's'}`);
+        parts.push(`~${PaintEstimator.formatDuration(row.minutes)}`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Estimates as CSV, one row per colour plus a total
+     * @param {{rows: Array, totals: Object}} estimate - From estimate()
+     * @param {Map|null} matches - Catalogue paints by palette id (PaintCatalog.match)
+     * @returns {string}
+     */
+    toCSV(estimate, matches = null) {
+        const paintName = id => {
+            const match = matches && matches.get(id);
+            return match ? `${match.paint.brand} ${match.paint.code} ${match.paint.name}`.trim() : '';
+        };
+        const fixed = (value, digits) => (value !== null ? value.toFixed(digits) : '');
+
+        const rows = estimate.rows.map(row => [
+            row.id,
+            row.name,
+            row.hex,
+            paintName(row.id),
+            row.regions,
+            (row.share * 100).toFixed(1),
+            fixed(row.areaCm2, 1),
+            fixed(row.ml, 1),
+            Math.round(row.minutes)
+        ]);
+
+        const { totals } = estimate;
+        rows.push([
+            'Total', '', '', '',
+            totals.regions,
+            totals.areaPx > 0 ? '100.0' : '0.0',
+            fixed(totals.areaCm2, 1),
+            fixed(totals.ml, 1),
+            Math.round(totals.minutes)
+        ]);
+
+        return Utils.toCSV([
+            ['Number', 'Color', 'Hex', 'Paint', 'Regions', 'Area (%)', 'Area (cm2)',
+                `Paint (ml, ${this.coats} coat${this.coats === 1 ? '' : 's'})`, 'Time (min)'],
+            ...rows
+        ]);
+    }
+
+    /**
+     * '1 h 25 min' / '40 min'
+     * @param {number} minutes
+     * @returns {string}
+     */
+    static formatDuration(minutes) {
+        // Anything under a minute still takes some time to paint
+        const rounded = minutes > 0 ? Math.max(1, Math.round(minutes)) : 0;
+        const hours = Math.floor(rounded / 60);
+        const rest = rounded % 60;
+        if (hours === 0) return `${rest} min`;
+        return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+    }
+}
@@ -0,0 +1,178 @@
+/* ============================================
+   Paint Mixer - Mixing Recipes from Base Paints
+   ============================================ */
+
+class PaintMixer {
+    /**
+     * @param {Array} basePaints - Palette-style colours ({ rgb, hex, name })
+     * @param {Object} options
+     * @param {number} options.maxParts - Largest total number of parts in a recipe
+     * @param {number} options.maxComponents - Most base paints in one recipe
+     */
+    constructor(basePaints, options = {}) {
+        const { maxParts = 10, maxComponents = 3 } = options;
+        this.basePaints = basePaints.filter(paint => paint && paint.rgb);
+        this.maxParts = maxParts;
+        this.maxComponents = maxComponents;
+        this.baseKS = [];
+        this.candidates = null;
+    }
+
+    /**
+     * Kubelka-Munk absorption/scattering ratio per linear RGB channel
+     * @param {{r, g, b}} rgb - 0-255
+     * @returns {Array<number>}
+     */
+    toKS(rgb) {
+        return [rgb.r, rgb.g, rgb.b].map(channel => {
+            const c = channel / 255;
+            const linear = c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+            // Real paint rarely reflects under ~4% in any band; without a floor
+            // a single dark channel swamps every mix it is part of
+            const reflectance = Math.min(0.999, Math.max(0.04, linear));
+            return (1 - reflectance) * (1 - reflectance) / (2 * reflectance);
+        });
+    }
+
+    /**
+     * Linear RGB reflectance back to sRGB from a K/S triple
+     * @param {Array<number>} ks
+     * @returns {{r, g, b}} 0-255
+     */
+    fromKS(ks) {
+        const [r, g, b] = ks.map(value => {
+            const reflectance = 1 + value - Math.sqrt(value * value + 2 * value);
+            const c = reflectance > 0.0031308
+                ? 1.055 * Math.pow(reflectance, 1 / 2.4) - 0.055
+                : 12.92 * reflectance;
+            return Math.round(Math.max(0, Math.min(1, c)) * 255);
+        });
+        return { r, g, b };
+    }
+
+    /**
+     * Subtractive mix: K/S values combine in proportion to the parts
+     * @param {Array<{paint: number, parts: number}>} components - Indices into basePaints
+     * @returns {{r, g, b}}
+     */
+    mix(components) {
+        const total = components.reduce((sum, c) => sum + c.parts, 0);
+        const ks = [0, 0, 0];
+        components.forEach(({ paint, parts }) => {
+            const paintKS = this.baseKS[paint];
+            for (let ch = 0; ch < 3; ch++) {
+                ks[ch] += paintKS[ch] * parts / total;
+            }
+        });
+        return this.fromKS(ks);
+    }
+
+    /**
+     * Every recipe up to maxComponents paints and maxParts parts,
+     * with ratios in lowest terms, and the colour it mixes to
+     * @returns {Array<{components: Array, lab: Object, rgb: Object}>}
+     */
+    buildCandidates() {
+        this.baseKS = this.basePaints.map(paint => this.toKS(paint.rgb));
+
+        const candidates = [];
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+        const addCandidate = (components) => {
+            const divisor = components.reduce((d, c) => gcd(d, c.parts), 0);
+            if (divisor !== 1) return; // same ratio is produced in lowest terms
+            const rgb = this.mix(components);
+            candidates.push({ components, rgb, lab: Utils.rgbToLab(rgb.r, rgb.g, rgb.b) });
+        };
+
+        // Choose paints in increasing index order, then split the parts
+        const choosePaints = (start, chosen) => {
+            if (chosen.length > 0) this.splitParts(chosen, 0, [], 0, addCandidate);
+            if (chosen.length === this.maxComponents) return;
+            for (let i = start; i < this.basePaints.length; i++) {
+                choosePaints(i + 1, [...chosen, i]);
+            }
+        };
+        choosePaints(0, []);
+
+        return candidates;
+    }
+
+    /**
+     * Assign 1..maxParts parts to each chosen paint (total <= maxParts)
+     */
+    splitParts(paints, index, parts, used, emit) {
+        if (index === paints.length) {
+            emit(paints.map((paint, i) => ({ paint, parts: parts[i] })));
+            return;
+        }
+        const remainingPaints = paints.length - index - 1;
+        for (let p = 1; used + p + remainingPaints <= this.maxParts; p++) {
+            this.splitParts(paints, index + 1, [...parts, p], used + p, emit);
+        }
+    }
+
+    /**
+     * Best recipe for one colour
+     * @param {{r, g, b}} rgb - Target colour
+     * @returns {Object|null} { components: [{paint, parts}], hex, deltaE, quality, text }
+     */
+    recipeFor(rgb) {
+        if (this.basePaints.length === 0) return null;
+        if (!this.candidates) this.candidates = this.buildCandidates();
+
+        const target = Utils.rgbToLab(rgb.r, rgb.g, rgb.b);
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.candidates.forEach(candidate => {
+            const distance = Utils.deltaE2000(target, candidate.lab);
+            // Prefer simpler recipes unless a richer one is clearly closer
+            const penalty = (candidate.components.length - 1) * 0.25;
+            if (distance + penalty < bestDistance) {
+                bestDistance = distance + penalty;
+                best = { ...candidate, deltaE: distance };
+            }
+        });
+
+        const components = [...best.components]
+            .sort((a, b) => b.parts - a.parts)
+            .map(({ paint, parts }) => ({ paint: this.basePaints[paint], parts }));
+
+        return {
+            components,
+            hex: Utils.rgbToHex(best.rgb.r, best.rgb.g, best.rgb.b),
+            deltaE: best.deltaE,
+            quality: PaintCatalog.quality(best.deltaE),
+            text: this.describe(components)
+        };
+    }
+
+    /**
+     * Recipes for a whole palette
+     * @param {Array} palette
+     * @returns {Map<number, Object>} By palette id
+     */
+    recipes(palette) {
+        const recipes = new Map();
+        palette.forEach(color => {
+            const recipe = this.recipeFor(color.rgb);
+            if (recipe) recipes.set(color.id, recipe);
+        });
+        return recipes;
+    }
+
+    /**
+     * '2 parts Titanium White + 1 part Cadmium Red'
+     * @param {Array<{paint: Object, parts: number}>} components
+     * @returns {string}
+     */
+    describe(components) {
+        if (components.length === 1) {
+            return `${components[0].paint.name} (unmixed)`;
+        }
+        return components
+            .map(({ paint, parts }) => `${parts} part${parts > 1 ? 's' : ''} ${paint.name}`)
+            .join(' + ');
+    }
+}
@@ -0,0 +1,449 @@
+/* ============================================
+   Palette Editor - Merge, Split, Recolour, Renumber
+   ============================================ */
+
+/**
+ * Edits the palette of a processing result in place, without rerunning the
+ * watershed. Region shapes come from the result's label map: recolouring
+ * and renumbering only change which palette id each label points at, while
+ * merging also dissolves the borders between neighbouring regions that end
+ * up the same colour, and splitting carves new labels out of regions where
+ * their pixels fall into the new colour; both trace the regions again.
+ *
+ * Locked colours keep their colour and number: they cannot be recoloured,
+ * split or merged away, and renumbering leaves them where they are.
+ */
+class PaletteEditor {
+    /**
+     * @param {Object} result - Processing result with labelMap and labelColors
+     * @param {Object} options
+     * @param {number} options.minRegionSize - Used when regions are traced again
+     * @param {boolean} options.geometricStyle - Used when regions are traced again
+     * @param {string} options.smallRegionMerge - Used when regions are traced again
+     * @param {number} options.minPaintWidth - Brush width in pixels; narrower parts are
+     *   absorbed again before regions are traced (0 = off)
+     */
+    constructor(result, options = {}) {
+        const { minRegionSize = 100, geometricStyle = false, smallRegionMerge = 'border', minPaintWidth = 0 } = options;
+
+        if (!result.labelMap || !result.labelColors) {
+            throw new Error('This result has no label map; generate it again to edit the palette');
+        }
+
+        this.result = result;
+        this.minRegionSize = minRegionSize;
+        this.geometricStyle = geometricStyle;
+        this.smallRegionMerge = smallRegionMerge;
+        this.minPaintWidth = minPaintWidth;
+    }
+
+    /**
+     * @param {number} id - Palette id
+     * @returns {Object} Palette entry
+     */
+    getColor(id) {
+        const color = this.result.palette.find(c => c.id === id);
+        if (!color) throw new Error(`There is no colour ${id}`);
+        return color;
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} action - For the error message
+     */
+    assertUnlocked(id, action) {
+        if (this.getColor(id).locked) {
+            throw new Error(`Colour ${id} is locked; unlock it to ${action} it`);
+        }
+    }
+
+    /**
+     * Lock or unlock a colour
+     * @param {number} id
+     * @param {boolean} locked
+     */
+    setLocked(id, locked) {
+        this.getColor(id).locked = locked;
+    }
+
+    /**
+     * Give a colour a new value
+     * @param {number} id
+     * @param {string} hex
+     */
+    recolor(id, hex) {
+        this.assertUnlocked(id, 'recolour');
+        const rgb = Utils.hexToRgb(hex);
+        if (!rgb) throw new Error(`'${hex}' is not a colour`);
+
+        const color = this.getColor(id);
+        color.rgb = rgb;
+        color.hex = Utils.rgbToHex(rgb.r, rgb.g, rgb.b);
+        color.name = Utils.getColorName(rgb.r, rgb.g, rgb.b);
+    }
+
+    /**
+     * Paint everything of one colour with another, and remove the first
+     * @param {number} fromId - Colour that goes away
+     * @param {number} intoId - Colour that takes over its regions
+     */
+    merge(fromId, intoId) {
+        if (fromId === intoId) throw new Error('Choose two different colours to merge');
+        this.assertUnlocked(fromId, 'merge');
+        this.getColor(intoId);
+
+        const { labelColors } = this.result;
+        const changed = new Set();
+        for (let label = 1; label < labelColors.length; label++) {
+            if (labelColors[label] === fromId) {
+                labelColors[label] = intoId;
+                changed.add(label);
+            }
+        }
+
+        const remaining = this.result.palette.filter(c => c.id !== fromId);
+        this.applyNumbering(remaining);
+        this.dissolveBorders(changed);
+    }
+
+    /**
+     * Split a colour in two by clustering the source colours of its pixels.
+     * The pixels are assigned to the nearer of two k-means centres, smoothed
+     * with a 3x3 majority vote, and every connected patch of the second
+     * cluster inside a region becomes a region of the new colour, so a
+     * colour with a single region can be split too. Patches below the
+     * minimum size fold back into their surroundings when regions are traced.
+     * @param {number} id
+     * @param {ImageData} imageData - Source image at the result's size
+     * @returns {number} Id of the new colour
+     */
+    split(id, imageData) {
+        this.assertUnlocked(id, 'split');
+        const { labelMap, width, height } = this.result;
+        if (imageData.width !== width || imageData.height !== height) {
+            throw new Error('The source image does not match the result size');
+        }
+
+        // Lab of every pixel of this colour
+        const data = imageData.data;
+        const oldColors = this.result.labelColors;
+        const pixels = [];
+        for (let i = 0; i < labelMap.length; i++) {
+            if (oldColors[labelMap[i]] === id) pixels.push(i);
+        }
+        const lab = new Float32Array(pixels.length * 3);
+        pixels.forEach((i, k) => {
+            const { l, a, b } = Utils.rgbToLab(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+            lab[k * 3] = l;
+            lab[k * 3 + 1] = a;
+            lab[k * 3 + 2] = b;
+        });
+
+        const centers = this.twoMeans(lab);
+        if (!centers) {
+            throw new Error(`The pixels of colour ${id} are all alike; there is nothing to split`);
+        }
+
+        // Cluster per pixel (-1 outside this colour), then a majority vote
+        // among neighbours of the same region against single-pixel speckle
+        const cluster = new Int8Array(labelMap.length).fill(-1);
+        pixels.forEach((i, k) => { cluster[i] = this.nearestCenter(lab, k, centers); });
+        const smoothed = cluster.slice();
+        pixels.forEach(i => {
+            const x = i % width;
+            const y = (i - x) / width;
+            let votes = 0;
+            let total = 0;
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    const n = ny * width + nx;
+                    if (labelMap[n] !== labelMap[i]) continue;
+                    votes += cluster[n];
+                    total++;
+                }
+            }
+            if (votes * 2 > total) smoothed[i] = 1;
+            else if (votes * 2 < total) smoothed[i] = 0;
+        });
+
+        // Bigger cluster keeps the original number
+        let moving = 0;
+        pixels.forEach(i => { moving += smoothed[i]; });
+        const moveSide = moving * 2 > pixels.length ? 0 : 1;
+        const sums = [{ r: 0, g: 0, b: 0, count: 0 }, { r: 0, g: 0, b: 0, count: 0 }];
+        pixels.forEach(i => {
+            const sum = sums[smoothed[i] === moveSide ? 1 : 0];
+            sum.r += data[i * 4];
+            sum.g += data[i * 4 + 1];
+            sum.b += data[i * 4 + 2];
+            sum.count++;
+        });
+        if (sums[0].count === 0 || sums[1].count === 0) {
+            throw new Error(`The pixels of colour ${id} are all alike; there is nothing to split`);
+        }
+
+        const newId = this.result.palette.length + 1;
+        const changed = this.relabelPatches(pixels, i => smoothed[i] === moveSide, id, newId);
+
+        const [keep, move] = sums.map(sum => ({
+            r: Math.round(sum.r / sum.count),
+            g: Math.round(sum.g / sum.count),
+            b: Math.round(sum.b / sum.count)
+        }));
+        const color = this.getColor(id);
+        color.rgb = keep;
+        color.hex = Utils.rgbToHex(keep.r, keep.g, keep.b);
+        color.name = Utils.getColorName(keep.r, keep.g, keep.b);
+        this.result.palette.push({
+            id: newId,
+            rgb: move,
+            hex: Utils.rgbToHex(move.r, move.g, move.b),
+            name: Utils.getColorName(move.r, move.g, move.b)
+        });
+
+        new WatershedProcessor().joinSameColorLabels(labelMap, width, height, this.result.labelColors, changed);
+        this.rebuild();
+
+        if (!this.result.regions.some(region => region.colorId === newId)) {
+            throw new Error(`The second shade of colour ${id} only makes patches below Min Region Size; there is nothing to split`);
+        }
+        return newId;
+    }
+
+    /**
+     * Give the moving pixels of a colour to a new colour: a region that
+     * moves entirely just changes colour, otherwise each 4-connected patch
+     * of moving pixels in it becomes a new label
+     * @param {Array<number>} pixels - Pixel indices of the colour
+     * @param {Function} moves - (pixel index) => whether the pixel moves
+     * @param {number} id - Colour being split
+     * @param {number} newId - Colour the moving pixels get
+     * @returns {Set<number>} Labels of the new colour
+     */
+    relabelPatches(pixels, moves, id, newId) {
+        const { labelMap, width } = this.result;
+        const oldColors = this.result.labelColors;
+
+        const staying = new Set();
+        pixels.forEach(i => {
+            if (!moves(i)) staying.add(labelMap[i]);
+        });
+
+        const changed = new Set();
+        const patches = [];
+        const visited = new Uint8Array(labelMap.length);
+        pixels.forEach(start => {
+            if (visited[start] || !moves(start)) return;
+            const label = labelMap[start];
+            if (!staying.has(label)) {
+                changed.add(label);
+                return;
+            }
+
+            const patch = [start];
+            visited[start] = 1;
+            for (let k = 0; k < patch.length; k++) {
+                const i = patch[k];
+                const x = i % width;
+                const next = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+                next.forEach(n => {
+                    if (n >= 0 && n < labelMap.length && !visited[n] && labelMap[n] === label && moves(n)) {
+                        visited[n] = 1;
+                        patch.push(n);
+                    }
+                });
+            }
+            patches.push(patch);
+        });
+
+        const labelColors = new Int32Array(oldColors.length + patches.length);
+        labelColors.set(oldColors);
+        changed.forEach(label => { labelColors[label] = newId; });
+        patches.forEach((patch, index) => {
+            const label = oldColors.length + index;
+            labelColors[label] = newId;
+            patch.forEach(i => { labelMap[i] = label; });
+            changed.add(label);
+        });
+        this.result.labelColors = labelColors;
+        return changed;
+    }
+
+    /**
+     * Two-cluster k-means over Lab pixels, on a sample of at most 20000,
+     * seeded with two pixels far apart
+     * @param {Float32Array} lab - l, a, b per pixel
+     * @returns {Array<Array<number>>|null} Both centres, or null when one cluster would be empty
+     */
+    twoMeans(lab) {
+        const count = lab.length / 3;
+        if (count < 2) return null;
+
+        const stride = Math.max(1, Math.floor(count / 20000));
+        const sample = [];
+        for (let k = 0; k < count; k += stride) sample.push(k);
+
+        const farthest = (center) => sample.reduce((best, k) =>
+            (this.distanceTo(lab, k, center) > this.distanceTo(lab, best, center) ? k : best));
+        const at = k => [lab[k * 3], lab[k * 3 + 1], lab[k * 3 + 2]];
+
+        const first = at(farthest(at(sample[0])));
+        let centers = [first, at(farthest(first))];
+        if (centers[0].every((v, c) => v === centers[1][c])) return null;
+
+        for (let iter = 0; iter < 20; iter++) {
+            const sums = [[0, 0, 0, 0], [0, 0, 0, 0]];
+            sample.forEach(k => {
+                const sum = sums[this.nearestCenter(lab, k, centers)];
+                sum[0] += lab[k * 3];
+                sum[1] += lab[k * 3 + 1];
+                sum[2] += lab[k * 3 + 2];
+                sum[3]++;
+            });
+            if (sums[0][3] === 0 || sums[1][3] === 0) return null;
+
+            const next = sums.map(sum => [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]]);
+            const moved = next.some((center, c) => center.some((v, j) => Math.abs(v - centers[c][j]) > 0.01));
+            centers = next;
+            if (!moved) break;
+        }
+        return centers;
+    }
+
+    /**
+     * Squared Lab distance from a pixel to a centre
+     * @param {Float32Array} lab
+     * @param {number} k - Pixel
+     * @param {Array<number>} center
+     * @returns {number}
+     */
+    distanceTo(lab, k, center) {
+        return (lab[k * 3] - center[0]) ** 2 + (lab[k * 3 + 1] - center[1]) ** 2 + (lab[k * 3 + 2] - center[2]) ** 2;
+    }
+
+    /**
+     * @param {Float32Array} lab
+     * @param {number} k - Pixel
+     * @param {Array<Array<number>>} centers - Two centres
+     * @returns {number} 0 or 1
+     */
+    nearestCenter(lab, k, centers) {
+        return this.distanceTo(lab, k, centers[0]) <= this.distanceTo(lab, k, centers[1]) ? 0 : 1;
+    }
+
+    /**
+     * Number the colours in a new order
+     * @param {string} order - 'light' (lightest first), 'dark', 'area' (most used first) or 'hue'
+     */
+    renumber(order) {
+        const area = new Map();
+        this.result.regions.forEach(region => {
+            area.set(region.colorId, (area.get(region.colorId) || 0) + region.area);
+        });
+
+        const lab = c => Utils.rgbToLab(c.rgb.r, c.rgb.g, c.rgb.b);
+        const hue = c => {
+            const { a, b } = lab(c);
+            return (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+        };
+
+        const keys = {
+            light: c => -lab(c).l,
+            dark: c => lab(c).l,
+            area: c => -(area.get(c.id) || 0),
+            hue
+        };
+        const key = keys[order];
+        if (!key) throw new Error(`Unknown numbering order '${order}'`);
+
+        const sorted = this.result.palette
+            .map(color => ({ color, value: key(color) }))
+            .sort((a, b) => a.value - b.value)
+            .map(entry => entry.color);
+
+        this.applyNumbering(sorted);
+    }
+
+    /**
+     * Number the given colours 1..n in order, leaving locked colours at
+     * their number, and update every label and region to match
+     * @param {Array} ordered - Palette entries in their new order
+     */
+    applyNumbering(ordered) {
+        const count = ordered.length;
+        const slots = new Array(count + 1).fill(null);
+
+        ordered.forEach(color => {
+            if (color.locked && color.id <= count && !slots[color.id]) slots[color.id] = color;
+        });
+        let next = 1;
+        ordered.forEach(color => {
+            if (slots.includes(color)) return;
+            while (slots[next]) next++;
+            slots[next] = color;
+        });
+
+        const newIds = new Map();
+        slots.forEach((color, id) => {
+            if (color) newIds.set(color.id, id);
+        });
+
+        const { labelColors } = this.result;
+        for (let label = 1; label < labelColors.length; label++) {
+            labelColors[label] = newIds.get(labelColors[label]) || 0;
+        }
+
+        this.result.palette = slots.slice(1).map((color, index) => {
+            color.id = index + 1;
+            return color;
+        });
+        this.syncRegions();
+    }
+
+    /**
+     * Point regions at their label's current palette entry
+     */
+    syncRegions() {
+        const { regions, palette, labelColors } = this.result;
+        regions.forEach(region => {
+            region.colorId = labelColors[region.id];
+            region.color = palette[region.colorId - 1];
+        });
+    }
+
+    /**
+     * Join touching labels that now share a colour and trace the regions again
+     * @param {Set<number>} changed - Labels whose colour changed
+     */
+    dissolveBorders(changed) {
+        const { labelMap, labelColors, width, height } = this.result;
+
+        // No same-colour neighbours: the regions are unchanged
+        if (!new WatershedProcessor().joinSameColorLabels(labelMap, width, height, labelColors, changed)) return;
+        this.rebuild();
+    }
+
+    /**
+     * Trace regions and shared borders from the label map again
+     */
+    rebuild() {
+        const { labelMap, width, height } = this.result;
+        const processor = new WatershedProcessor();
+
+        // Joined or split regions can leave parts narrower than the brush
+        const slivers = processor.absorbSlivers(labelMap, width, height, this.minPaintWidth);
+        if (slivers) {
+            const before = this.result.slivers || { regions: 0, parts: 0 };
+            this.result.slivers = { ...slivers, regions: before.regions + slivers.regions, parts: before.parts + slivers.parts };
+        }
+
+        const { labelColors, palette } = this.result;
+        const { regions, edges, adjacency } = processor.buildRegions(
+            labelMap, width, height, labelColors, palette,
+            this.minRegionSize, this.geometricStyle, this.smallRegionMerge, this.result.detailMap || null
+        );
+        this.result.regions = regions;
+        this.result.edges = edges;
+        this.result.adjacency = adjacency;
+    }
+}
@@ -0,0 +1,92 @@
+/* ============================================
+   Palette Families - Shades Grouped by Hue
+   ============================================ */
+
+/**
+ * Groups a palette into families of shades (blues, greens, neutrals...) so
+ * a large palette stays readable. Each colour gets a code of its family
+ * letter and its shade number, lightest first: "B1" is the lightest blue.
+ * Families come from the colour's Lab hue, and colours with little chroma
+ * are neutrals whatever their hue.
+ */
+class PaletteFamilies {
+    /**
+     * @param {Object} options
+     * @param {number} options.neutralChroma - Lab chroma below which a colour is a neutral
+     */
+    constructor(options = {}) {
+        const { neutralChroma = 10 } = options;
+
+        this.neutralChroma = neutralChroma;
+    }
+
+    /**
+     * Families in legend order; hue ranges are Lab hue angles in degrees,
+     * `from` inclusive, wrapping through 0 when `from` > `to`
+     */
+    static get FAMILIES() {
+        return [
+            { letter: 'P', name: 'Pinks', from: 340, to: 25 },
+            { letter: 'R', name: 'Reds', from: 25, to: 50 },
+            { letter: 'O', name: 'Oranges & Browns', from: 50, to: 85 },
+            { letter: 'Y', name: 'Yellows', from: 85, to: 115 },
+            { letter: 'G', name: 'Greens', from: 115, to: 180 },
+            { letter: 'T', name: 'Teals', from: 180, to: 225 },
+            { letter: 'B', name: 'Blues', from: 225, to: 315 },
+            { letter: 'V', name: 'Violets', from: 315, to: 340 },
+            { letter: 'N', name: 'Neutrals', from: null, to: null }
+        ];
+    }
+
+    /**
+     * @param {{r, g, b}} rgb
+     * @returns {Object} Entry of FAMILIES
+     */
+    familyOf(rgb) {
+        const lab = Utils.rgbToLab(rgb.r, rgb.g, rgb.b);
+        const families = PaletteFamilies.FAMILIES;
+        if (Math.hypot(lab.a, lab.b) < this.neutralChroma) {
+            return families.find(family => family.from === null);
+        }
+
+        const hue = (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+        return families.find(({ from, to }) => from !== null &&
+            (from < to ? hue >= from && hue < to : hue >= from || hue < to));
+    }
+
+    /**
+     * Palette grouped into families, shades numbered from light to dark
+     * @param {Array} palette
+     * @returns {Array<{letter, name, colors: Array<{color, shade: number, code: string}>}>}
+     *   Only families with colours, in FAMILIES order
+     */
+    group(palette) {
+        const members = new Map(PaletteFamilies.FAMILIES.map(family => [family.letter, []]));
+        palette.forEach(color => {
+            const lightness = Utils.rgbToLab(color.rgb.r, color.rgb.g, color.rgb.b).l;
+            members.get(this.familyOf(color.rgb).letter).push({ color, lightness });
+        });
+
+        return PaletteFamilies.FAMILIES
+            .filter(family => members.get(family.letter).length > 0)
+            .map(({ letter, name }) => ({
+                letter,
+                name,
+                colors: members.get(letter)
+                    .sort((a, b) => b.lightness - a.lightness)
+                    .map(({ color }, index) => ({ color, shade: index + 1, code: letter + (index + 1) }))
+            }));
+    }
+
+    /**
+     * @param {Array} palette
+     * @returns {Map<number, string>} Palette id -> family code
+     */
+    codes(palette) {
+        const codes = new Map();
+        this.group(palette).forEach(family => {
+            family.colors.forEach(({ color, code }) => codes.set(color.id, code));
+        });
+        return codes;
+    }
+}
@@ -0,0 +1,581 @@
+/* ============================================
+   Palette IO - Palette Import / Export
+   ============================================ */
+
+/*
+ * Palettes are arrays of the objects ColorQuantizer returns:
+ *   { id, rgb: {r, g, b}, hex, name }
+ * Every importer produces that shape and every exporter accepts it, so a
+ * generated palette can be exported, edited elsewhere and imported as
+ * the fixed palette for the next run.
+ */
+
+class PaletteIO {
+    /**
+     * Supported file formats
+     */
+    static get FORMATS() {
+        return {
+            gpl: { extension: 'gpl', label: 'GIMP Palette (.gpl)', mime: 'text/plain' },
+            ase: { extension: 'ase', label: 'Adobe Swatch Exchange (.ase)', mime: 'application/octet-stream' },
+            aco: { extension: 'aco', label: 'Photoshop Swatches (.aco)', mime: 'application/octet-stream' },
+            swatches: { extension: 'swatches', label: 'Procreate Swatches (.swatches)', mime: 'application/zip' },
+            json: { extension: 'json', label: 'JSON (.json)', mime: 'application/json' }
+        };
+    }
+
+    /**
+     * Parse a palette from text
+     * @param {string} text - Hex list (one colour per line, optional name
+     *   beside the hex code; commas/spaces also separate bare codes), GIMP
+     *   palette or JSON
+     * @returns {Array<{id: number, rgb: Object, hex: string, name: string}>}
+     */
+    parse(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('GIMP Palette')) {
+            return this.parseGPL(trimmed);
+        }
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            return this.parseJSON(trimmed);
+        }
+        return this.parseHexList(trimmed);
+    }
+
+    /**
+     * Read a palette file, picking the parser from the extension
+     * @param {File} file
+     * @returns {Promise<Array>} Palette
+     */
+    async readFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        let colors;
+        switch (extension) {
+            case 'ase':
+                colors = this.parseASE(await file.arrayBuffer());
+                break;
+            case 'aco':
+                colors = this.parseACO(await file.arrayBuffer());
+                break;
+            case 'swatches':
+                colors = await this.parseSwatches(await file.arrayBuffer());
+                break;
+            default:
+                colors = this.parse(await file.text());
+        }
+
+        if (colors.length === 0) {
+            throw new Error(`No colours found in ${file.name}`);
+        }
+        return colors;
+    }
+
+    /**
+     * '#ff0000 Cadmium Red' per line, or '#ff0000, #00ff00 ...'. A line is a
+     * list of bare codes only when its codes all have a '#' or none do; on
+     * any other line the '#' code is the colour and the rest is its name, so
+     * hex-like words and catalogue numbers in names stay text:
+     *   'Ace #123456'      -> #123456 'Ace'
+     *   'Bed 044 #abcdef'  -> #abcdef 'Bed 044'
+     *   'Deep Bed #ff0000' -> #ff0000 'Deep Bed'
+     *   'ff0000 Red'       -> #ff0000 'Red'
+     *   'fff 000'          -> #ffffff, #000000
+     * @param {string} text
+     * @returns {Array} Palette
+     */
+    parseHexList(text) {
+        const colors = [];
+        const codePattern = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i;
+        const hashPattern = /#([0-9a-f]{6}|[0-9a-f]{3})(?![0-9a-z])/i;
+        const leadingPattern = /^#?([0-9a-f]{6}|[0-9a-f]{3})(?![0-9a-z])/i;
+
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            const tokens = trimmed.split(/[\s,;]+/).filter(Boolean);
+            if (tokens.length === 0) return;
+
+            const hashed = tokens.filter(token => token.startsWith('#')).length;
+            const uniform = hashed === 0 || hashed === tokens.length;
+            if (uniform && tokens.every(token => codePattern.test(token))) {
+                tokens.forEach(token => colors.push(this.makeColor(token, '')));
+                return;
+            }
+
+            const match = trimmed.match(hashPattern) || trimmed.match(leadingPattern);
+            if (!match) return;
+
+            // The rest of the line is the paint name
+            const before = trimmed.slice(0, match.index).replace(/[\s,;:\-]+$/, '');
+            const after = trimmed.slice(match.index + match[0].length).replace(/^[\s,;:\-]+/, '');
+            colors.push(this.makeColor(match[1], [before, after].filter(Boolean).join(' ')));
+        });
+
+        return this.numberColors(colors);
+    }
+
+    /**
+     * JSON array of hex strings or { hex, name } objects,
+     * or an object with a `colors` array (our export format)
+     * @param {string} text
+     * @returns {Array} Palette
+     */
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : (data.colors || []);
+
+        return this.numberColors(list.map(entry => {
+            if (typeof entry === 'string') return this.makeColor(entry, '');
+            if (entry.hex) return this.makeColor(entry.hex, entry.name || '');
+            if (entry.rgb) return this.fromRgb(entry.rgb.r, entry.rgb.g, entry.rgb.b, entry.name || '');
+            return null;
+        }));
+    }
+
+    /**
+     * GIMP palette: header, then 'R G B  Name' lines
+     * @param {string} text
+     * @returns {Array} Palette
+     */
+    parseGPL(text) {
+        const colors = [];
+
+        text.split(/\r?\n/).slice(1).forEach(line => {
+            const match = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/);
+            if (!match) return; // Name:, Columns:, comments, blank lines
+            colors.push(this.fromRgb(+match[1], +match[2], +match[3], match[4].trim()));
+        });
+
+        return this.numberColors(colors);
+    }
+
+    /**
+     * Adobe Swatch Exchange (big-endian blocks; RGB, CMYK, LAB and Gray entries)
+     * @param {ArrayBuffer} buffer
+     * @returns {Array} Palette
+     */
+    parseASE(buffer) {
+        const view = new DataView(buffer);
+        if (this.readAscii(view, 0, 4) !== 'ASEF') {
+            throw new Error('Not an Adobe Swatch Exchange file');
+        }
+
+        const colors = [];
+        const blockCount = view.getUint32(8);
+        let offset = 12;
+
+        for (let i = 0; i < blockCount && offset + 6 <= view.byteLength; i++) {
+            const type = view.getUint16(offset);
+            const length = view.getUint32(offset + 2);
+            const start = offset + 6;
+            offset = start + length;
+
+            if (type !== 0x0001) continue; // group start / end
+
+            const nameLength = view.getUint16(start);
+            const name = this.readUtf16(view, start + 2, nameLength);
+            let pos = start + 2 + nameLength * 2;
+            const model = this.readAscii(view, pos, 4).trim();
+            pos += 4;
+
+            const values = [];
+            const count = { RGB: 3, LAB: 3, CMYK: 4, Gray: 1 }[model] || 0;
+            for (let v = 0; v < count; v++) {
+                values.push(view.getFloat32(pos));
+                pos += 4;
+            }
+
+            const rgb = this.modelToRgb(model, values);
+            if (rgb) colors.push(this.fromRgb(rgb.r, rgb.g, rgb.b, name));
+        }
+
+        return this.numberColors(colors);
+    }
+
+    /**
+     * Photoshop .aco: version 1 section, optionally followed by version 2
+     * (same colours plus names). Names are taken from version 2 when present.
+     * @param {ArrayBuffer} buffer
+     * @returns {Array} Palette
+     */
+    parseACO(buffer) {
+        const view = new DataView(buffer);
+        let offset = 0;
+        let colors = [];
+
+        while (offset + 4 <= view.byteLength) {
+            const version = view.getUint16(offset);
+            const count = view.getUint16(offset + 2);
+            offset += 4;
+            if (version !== 1 && version !== 2) {
+                throw new Error('Not a Photoshop swatches file');
+            }
+
+            const section = [];
+            for (let i = 0; i < count; i++) {
+                const space = view.getUint16(offset);
+                const w = view.getUint16(offset + 2);
+                const x = view.getUint16(offset + 4);
+                const y = view.getUint16(offset + 6);
+                const z = view.getUint16(offset + 8);
+                offset += 10;
+
+                let name = '';
+                if (version === 2) {
+                    const nameLength = view.getUint32(offset);
+                    name = this.readUtf16(view, offset + 4, nameLength);
+                    offset += 4 + nameLength * 2;
+                }
+
+                const rgb = this.acoToRgb(space, w, x, y, z);
+                if (rgb) section.push(this.fromRgb(rgb.r, rgb.g, rgb.b, name));
+            }
+
+            colors = section;
+            if (version === 2) break;
+        }
+
+        return this.numberColors(colors);
+    }
+
+    /**
+     * Procreate .swatches: a ZIP holding Swatches.json with HSB colours
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<Array>} Palette
+     */
+    async parseSwatches(buffer) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded');
+        }
+
+        const zip = await JSZip.loadAsync(buffer);
+        const entry = zip.file(/swatches\.json$/i)[0];
+        if (!entry) {
+            throw new Error('Swatches.json not found in Procreate file');
+        }
+
+        const data = JSON.parse(await entry.async('string'));
+        const palette = Array.isArray(data) ? data[0] : data;
+        const swatches = (palette && palette.swatches) || [];
+
+        return this.numberColors(swatches.filter(Boolean).map(swatch => {
+            const rgb = this.hsvToRgb(swatch.hue, swatch.saturation, swatch.brightness);
+            return this.fromRgb(rgb.r, rgb.g, rgb.b, '');
+        }));
+    }
+
+    /**
+     * Export a palette
+     * @param {Array} palette - Palette objects ({ id, rgb, hex, name })
+     * @param {string} format - Key of PaletteIO.FORMATS
+     * @param {string} name - Palette name stored in the file
+     * @returns {Promise<Blob>}
+     */
+    async export(palette, format, name = 'Paint by Numbers') {
+        const info = PaletteIO.FORMATS[format];
+        if (!info) {
+            throw new Error(`Unknown palette format: ${format}`);
+        }
+
+        switch (format) {
+            case 'gpl':
+                return new Blob([this.exportGPL(palette, name)], { type: info.mime });
+            case 'ase':
+                return new Blob([this.exportASE(palette)], { type: info.mime });
+            case 'aco':
+                return new Blob([this.exportACO(palette)], { type: info.mime });
+            case 'swatches':
+                return this.exportSwatches(palette, name);
+            default:
+                return new Blob([this.exportJSON(palette, name)], { type: info.mime });
+        }
+    }
+
+    /**
+     * @param {Array} palette
+     * @param {string} name
+     * @returns {string}
+     */
+    exportGPL(palette, name) {
+        const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${Math.min(palette.length, 8)}`, '#'];
+        palette.forEach(color => {
+            const { r, g, b } = color.rgb;
+            const channels = [r, g, b].map(v => String(v).padStart(3, ' ')).join(' ');
+            lines.push(`${channels}\t${color.name}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @param {Array} palette
+     * @returns {Uint8Array}
+     */
+    exportASE(palette) {
+        const blocks = palette.map(color => {
+            const name = color.name + '\0';
+            const length = 2 + name.length * 2 + 4 + 12 + 2;
+            return { color, name, length };
+        });
+        const size = 12 + blocks.reduce((sum, block) => sum + 6 + block.length, 0);
+
+        const view = new DataView(new ArrayBuffer(size));
+        this.writeAscii(view, 0, 'ASEF');
+        view.setUint16(4, 1);
+        view.setUint16(6, 0);
+        view.setUint32(8, blocks.length);
+
+        let offset = 12;
+        blocks.forEach(({ color, name, length }) => {
+            view.setUint16(offset, 0x0001);
+            view.setUint32(offset + 2, length);
+            view.setUint16(offset + 6, name.length);
+            offset = this.writeUtf16(view, offset + 8, name);
+            this.writeAscii(view, offset, 'RGB ');
+            view.setFloat32(offset + 4, color.rgb.r / 255);
+            view.setFloat32(offset + 8, color.rgb.g / 255);
+            view.setFloat32(offset + 12, color.rgb.b / 255);
+            view.setUint16(offset + 16, 2); // normal (not global / spot)
+            offset += 18;
+        });
+
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * @param {Array} palette
+     * @returns {Uint8Array}
+     */
+    exportACO(palette) {
+        const names = palette.map(color => color.name + '\0');
+        const size = 4 + palette.length * 10 + 4 +
+            names.reduce((sum, name) => sum + 10 + 4 + name.length * 2, 0);
+
+        const view = new DataView(new ArrayBuffer(size));
+        let offset = 0;
+
+        // Version 1 for older readers, then version 2 with names
+        [1, 2].forEach(version => {
+            view.setUint16(offset, version);
+            view.setUint16(offset + 2, palette.length);
+            offset += 4;
+
+            palette.forEach((color, i) => {
+                view.setUint16(offset, 0); // RGB
+                view.setUint16(offset + 2, color.rgb.r * 257);
+                view.setUint16(offset + 4, color.rgb.g * 257);
+                view.setUint16(offset + 6, color.rgb.b * 257);
+                view.setUint16(offset + 8, 0);
+                offset += 10;
+
+                if (version === 2) {
+                    view.setUint32(offset, names[i].length);
+                    offset = this.writeUtf16(view, offset + 4, names[i]);
+                }
+            });
+        });
+
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * @param {Array} palette
+     * @param {string} name
+     * @returns {Promise<Blob>}
+     */
+    async exportSwatches(palette, name) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded');
+        }
+
+        const swatches = palette.map(color => {
+            const hsv = this.rgbToHsv(color.rgb.r, color.rgb.g, color.rgb.b);
+            return { hue: hsv.h, saturation: hsv.s, brightness: hsv.v, alpha: 1, colorSpace: 0 };
+        });
+
+        const zip = new JSZip();
+        zip.file('Swatches.json', JSON.stringify([{ name, swatches }]));
+        return zip.generateAsync({ type: 'blob', mimeType: PaletteIO.FORMATS.swatches.mime });
+    }
+
+    /**
+     * @param {Array} palette
+     * @param {string} name
+     * @returns {string}
+     */
+    exportJSON(palette, name) {
+        return JSON.stringify({
+            format: 'pbn-palette',
+            version: 1,
+            name,
+            colors: palette.map(color => ({
+                id: color.id,
+                hex: color.hex,
+                rgb: { r: color.rgb.r, g: color.rgb.g, b: color.rgb.b },
+                name: color.name
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Normalise a hex colour entry
+     * @param {string} hex - With or without '#', 3 or 6 digits
+     * @param {string} name
+     * @returns {Object|null} Palette colour without id
+     */
+    makeColor(hex, name) {
+        let value = hex.replace(/^#/, '').toLowerCase();
+        if (/^[0-9a-f]{3}$/.test(value)) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}$/.test(value)) return null;
+
+        const rgb = Utils.hexToRgb('#' + value);
+        return this.fromRgb(rgb.r, rgb.g, rgb.b, name);
+    }
+
+    /**
+     * Palette colour from RGB (0-255, clamped and rounded)
+     * @returns {Object} Palette colour without id
+     */
+    fromRgb(r, g, b, name) {
+        const clamp = v => Math.max(0, Math.min(255, Math.round(v)));
+        const rgb = { r: clamp(r), g: clamp(g), b: clamp(b) };
+        return {
+            rgb,
+            hex: Utils.rgbToHex(rgb.r, rgb.g, rgb.b),
+            name: name || Utils.getColorName(rgb.r, rgb.g, rgb.b)
+        };
+    }
+
+    /**
+     * Drop invalid entries and number the rest from 1
+     * @param {Array} colors
+     * @returns {Array} Palette
+     */
+    numberColors(colors) {
+        return colors.filter(Boolean).map((color, i) => ({ id: i + 1, ...color }));
+    }
+
+    /**
+     * ASE colour values to RGB
+     * @param {string} model - 'RGB' | 'CMYK' | 'LAB' | 'Gray'
+     * @param {Array<number>} values
+     * @returns {{r, g, b}|null}
+     */
+    modelToRgb(model, values) {
+        switch (model) {
+            case 'RGB':
+                return { r: values[0] * 255, g: values[1] * 255, b: values[2] * 255 };
+            case 'CMYK': {
+                const [c, m, y, k] = values;
+                return { r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k) };
+            }
+            case 'LAB':
+                // L is stored as 0-1
+                return new ColorQuantizer().labToRgb(values[0] * 100, values[1], values[2]);
+            case 'Gray':
+                return { r: values[0] * 255, g: values[0] * 255, b: values[0] * 255 };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * ACO colour record to RGB
+     * @returns {{r, g, b}|null}
+     */
+    acoToRgb(space, w, x, y, z) {
+        const signed = v => (v > 32767 ? v - 65536 : v);
+        switch (space) {
+            case 0: // RGB
+                return { r: w / 257, g: x / 257, b: y / 257 };
+            case 1: // HSB
+                return this.hsvToRgb(w / 65535, x / 65535, y / 65535);
+            case 2: // CMYK, 0 = full ink
+                return { r: w / 257 * (z / 65535), g: x / 257 * (z / 65535), b: y / 257 * (z / 65535) };
+            case 7: // Lab
+                return new ColorQuantizer().labToRgb(w / 100, signed(x) / 100, signed(y) / 100);
+            case 8: // Grayscale, 0-10000 = white-black
+                return { r: 255 * (1 - w / 10000), g: 255 * (1 - w / 10000), b: 255 * (1 - w / 10000) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @returns {{h: number, s: number, v: number}} All in 0-1
+     */
+    rgbToHsv(r, g, b) {
+        r /= 255;
+        g /= 255;
+        b /= 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const d = max - min;
+
+        let h = 0;
+        if (d > 0) {
+            if (max === r) h = ((g - b) / d + 6) % 6;
+            else if (max === g) h = (b - r) / d + 2;
+            else h = (r - g) / d + 4;
+        }
+
+        return { h: h / 6, s: max === 0 ? 0 : d / max, v: max };
+    }
+
+    /**
+     * @param {number} h - 0-1
+     * @param {number} s - 0-1
+     * @param {number} v - 0-1
+     * @returns {{r, g, b}} 0-255
+     */
+    hsvToRgb(h, s, v) {
+        const i = Math.floor(h * 6) % 6;
+        const f = h * 6 - Math.floor(h * 6);
+        const p = v * (1 - s);
+        const q = v * (1 - f * s);
+        const t = v * (1 - (1 - f) * s);
+        const [r, g, b] = [
+            [v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]
+        ][i];
+        return { r: r * 255, g: g * 255, b: b * 255 };
+    }
+
+    readAscii(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    }
+
+    writeAscii(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    /**
+     * Read `length` UTF-16BE code units, dropping the terminating null
+     */
+    readUtf16(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            const code = view.getUint16(offset + i * 2);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+
+    /**
+     * Write a string as UTF-16BE
+     * @returns {number} Offset after the string
+     */
+    writeUtf16(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint16(offset + i * 2, text.charCodeAt(i));
+        }
+        return offset + text.length * 2;
+    }
+}
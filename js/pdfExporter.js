@@ -0,0 +1,449 @@
+/* ============================================
+   PDF Exporter - Print Layouts
+   ============================================ */
+
+class PDFExporter {
+    /**
+     * Build a print-ready PDF from the generated SVGs.
+     * The template and legend stay vector: SVG paths, rects, lines and
+     * text are translated into PDF drawing operators.
+     * @param {Object} options
+     * @param {string} options.svg - Output of SVGGenerator.generateSVG
+     * @param {string} options.legend - Output of SVGGenerator.generateLegend
+     * @param {string} options.pageSize - 'a4' | 'letter' | 'a3'
+     * @param {number} options.margin - Page margin in mm
+     * @param {boolean} options.coverPage - Add a cover page
+     * @param {HTMLImageElement|HTMLCanvasElement} options.thumbnail - Original image for the cover
+     * @param {string} options.title
+     * @returns {Blob} PDF file
+     */
+    export(options) {
+        const {
+            svg,
+            legend,
+            pageSize = 'a4',
+            margin = 12,
+            coverPage = false,
+            thumbnail = null,
+            title = 'Paint by Numbers'
+        } = options;
+
+        const writer = new PDFWriter();
+        writer.info.Title = title;
+
+        const size = PDFWriter.PAGE_SIZES[pageSize] || PDFWriter.PAGE_SIZES.a4;
+        const marginPt = margin * 72 / 25.4;
+
+        if (coverPage) {
+            this.addCoverPage(writer, size, marginPt, title, thumbnail);
+        }
+
+        // Template page, turned to landscape for wide images
+        const template = this.parseSVG(svg);
+        const landscape = template.width > template.height;
+        const pageWidth = landscape ? size.height : size.width;
+        const pageHeight = landscape ? size.width : size.height;
+        writer.addPage(pageWidth, pageHeight);
+        this.drawSVG(writer, template, {
+            x: marginPt,
+            y: marginPt,
+            width: pageWidth - 2 * marginPt,
+            height: pageHeight - 2 * marginPt
+        });
+
+        // Legend page
+        if (legend) {
+            writer.addPage(size.width, size.height);
+            const headingSize = 16;
+            this.drawText(writer, 'Colour Legend', marginPt, size.height - marginPt - headingSize, headingSize, true);
+
+            const legendDoc = this.parseSVG(legend);
+            const top = size.height - marginPt - headingSize * 2;
+            this.drawSVG(writer, legendDoc, {
+                x: marginPt,
+                y: marginPt,
+                width: size.width - 2 * marginPt,
+                height: top - marginPt
+            }, 'top', 1);
+        }
+
+        return writer.toBlob();
+    }
+
+    /**
+     * One page per SVG, each page sized to its SVG's viewBox (in points)
+     * and drawn 1:1. Used for pre-laid-out pages such as poster tiles.
+     * @param {string[]} svgs
+     * @param {string} title
+     * @returns {Blob} PDF file
+     */
+    exportPages(svgs, title = 'Paint by Numbers') {
+        const writer = new PDFWriter();
+        writer.info.Title = title;
+
+        svgs.forEach(svgString => {
+            const svg = this.parseSVG(svgString);
+            writer.addPage(svg.width, svg.height);
+            this.drawSVG(writer, svg, { x: 0, y: 0, width: svg.width, height: svg.height });
+        });
+
+        return writer.toBlob();
+    }
+
+    /**
+     * Cover page with title and the original image
+     */
+    addCoverPage(writer, size, marginPt, title, thumbnail) {
+        writer.addPage(size.width, size.height);
+
+        const titleSize = 28;
+        const titleWidth = writer.textWidth(title, titleSize, 'sans', true);
+        this.drawText(writer, title, (size.width - titleWidth) / 2, size.height - marginPt - titleSize * 1.5, titleSize, true);
+
+        if (!thumbnail) return;
+
+        const image = this.imageToJpeg(thumbnail);
+        const name = writer.addJpeg(image.bytes, image.width, image.height);
+
+        // Fit in the area below the title
+        const boxWidth = size.width - 2 * marginPt;
+        const boxHeight = size.height - 2 * marginPt - titleSize * 3;
+        const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+        const w = image.width * scale;
+        const h = image.height * scale;
+        const x = (size.width - w) / 2;
+        const y = marginPt + (boxHeight - h) / 2;
+
+        writer.write(`q ${writer.num(w)} 0 0 ${writer.num(h)} ${writer.num(x)} ${writer.num(y)} cm ${name} Do Q`);
+    }
+
+    /**
+     * Draw a line of text (PDF coordinates, baseline at y)
+     */
+    drawText(writer, text, x, y, size, bold = false, color = '#333333') {
+        writer.write(`BT ${writer.color(color)} rg ${writer.font('sans', bold)} ${size} Tf ` +
+            `${writer.num(x)} ${writer.num(y)} Td (${writer.escapeText(text)}) Tj ET`);
+    }
+
+    /**
+     * Encode an image or canvas as JPEG
+     * @param {HTMLImageElement|HTMLCanvasElement} source
+     * @returns {{bytes: Uint8Array, width: number, height: number}}
+     */
+    imageToJpeg(source, maxSize = 1200) {
+        const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(source.width * scale);
+        canvas.height = Math.round(source.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        const base64 = canvas.toDataURL('image/jpeg', 0.9).split(',')[1];
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return { bytes, width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * Parse an SVG string and read its viewBox
+     * @param {string} svgString
+     * @returns {{root: Element, x: number, y: number, width: number, height: number}}
+     */
+    parseSVG(svgString) {
+        const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+        const root = doc.documentElement;
+        const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+        if (viewBox.length === 4 && viewBox.every(v => !isNaN(v))) {
+            return { root, x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+        }
+        return {
+            root,
+            x: 0,
+            y: 0,
+            width: parseFloat(root.getAttribute('width')) || 0,
+            height: parseFloat(root.getAttribute('height')) || 0
+        };
+    }
+
+    /**
+     * Draw a parsed SVG into a box on the current page, scaled to fit
+     * @param {PDFWriter} writer
+     * @param {Object} svg - From parseSVG
+     * @param {{x, y, width, height}} box - PDF coordinates
+     * @param {string} align - 'center' | 'top'
+     * @param {number} maxScale - Upper bound on the scale (Infinity = fill the box)
+     */
+    drawSVG(writer, svg, box, align = 'center', maxScale = Infinity) {
+        if (!svg.width || !svg.height) return;
+
+        const scale = Math.min(box.width / svg.width, box.height / svg.height, maxScale);
+        const w = svg.width * scale;
+        const h = svg.height * scale;
+        const left = box.x + (box.width - w) / 2;
+        const top = align === 'top' ? box.y + box.height : box.y + (box.height + h) / 2;
+
+        // Flip to SVG coordinates: y grows downwards from the top of the drawing
+        writer.write(`q ${writer.num(scale)} 0 0 ${writer.num(-scale)} ` +
+            `${writer.num(left - svg.x * scale)} ${writer.num(top + svg.y * scale)} cm`);
+        this.drawNode(writer, svg.root, this.defaultStyle());
+        writer.write('Q');
+    }
+
+    /**
+     * SVG initial style values
+     */
+    defaultStyle() {
+        return {
+            fill: '#000000',
+            stroke: 'none',
+            strokeWidth: 1,
+            fillOpacity: 1,
+            strokeOpacity: 1,
+            fillRule: 'nonzero',
+            lineJoin: 'miter',
+            lineCap: 'butt',
+            dashArray: [],
+            fontSize: 16,
+            fontWeight: 'normal',
+            fontFamily: 'sans',
+            textAnchor: 'start',
+            baseline: 'auto'
+        };
+    }
+
+    /**
+     * Inherit presentation attributes from an element
+     * @param {Element} el
+     * @param {Object} parent
+     * @returns {Object} Style
+     */
+    resolveStyle(el, parent) {
+        const style = { ...parent };
+        const attr = name => el.getAttribute(name);
+
+        if (attr('fill') !== null) style.fill = attr('fill');
+        if (attr('stroke') !== null) style.stroke = attr('stroke');
+        if (attr('stroke-width') !== null) style.strokeWidth = parseFloat(attr('stroke-width'));
+        if (attr('fill-opacity') !== null) style.fillOpacity = parseFloat(attr('fill-opacity'));
+        if (attr('stroke-opacity') !== null) style.strokeOpacity = parseFloat(attr('stroke-opacity'));
+        if (attr('fill-rule') !== null) style.fillRule = attr('fill-rule');
+        if (attr('stroke-linejoin') !== null) style.lineJoin = attr('stroke-linejoin');
+        if (attr('stroke-linecap') !== null) style.lineCap = attr('stroke-linecap');
+        if (attr('stroke-dasharray') !== null) {
+            style.dashArray = attr('stroke-dasharray') === 'none'
+                ? []
+                : attr('stroke-dasharray').split(/[\s,]+/).map(parseFloat).filter(v => !isNaN(v));
+        }
+        if (attr('font-size') !== null) style.fontSize = parseFloat(attr('font-size'));
+        if (attr('font-weight') !== null) style.fontWeight = attr('font-weight');
+        if (attr('font-family') !== null) style.fontFamily = /mono/i.test(attr('font-family')) ? 'mono' : 'sans';
+        if (attr('text-anchor') !== null) style.textAnchor = attr('text-anchor');
+        if (attr('dominant-baseline') !== null) style.baseline = attr('dominant-baseline');
+
+        return style;
+    }
+
+    /**
+     * Draw an SVG element and its children
+     */
+    drawNode(writer, el, parentStyle) {
+        const style = this.resolveStyle(el, parentStyle);
+        const tag = el.localName;
+
+        switch (tag) {
+            case 'svg':
+                if (el.parentElement) {
+                    this.drawNestedSVG(writer, el, style);
+                    return;
+                }
+                Array.from(el.children).forEach(child => this.drawNode(writer, child, style));
+                return;
+            case 'g':
+                Array.from(el.children).forEach(child => this.drawNode(writer, child, style));
+                return;
+            case 'rect':
+                this.paint(writer, this.rectToOps(writer, el), style);
+                return;
+            case 'path':
+                this.paint(writer, this.pathDataToOps(writer, el.getAttribute('d') || ''), style);
+                return;
+            case 'line': {
+                const n = name => writer.num(parseFloat(el.getAttribute(name)) || 0);
+                this.paint(writer, `${n('x1')} ${n('y1')} m ${n('x2')} ${n('y2')} l`, { ...style, fill: 'none' });
+                return;
+            }
+            case 'text':
+                this.drawSVGText(writer, el, style);
+                return;
+            default:
+                // Unsupported elements are skipped
+        }
+    }
+
+    /**
+     * Nested <svg> viewport: clip to its box and map its viewBox into it
+     */
+    drawNestedSVG(writer, el, style) {
+        const n = name => parseFloat(el.getAttribute(name)) || 0;
+        const x = n('x');
+        const y = n('y');
+        const width = n('width');
+        const height = n('height');
+        if (width <= 0 || height <= 0) return;
+
+        const ops = [`q ${writer.num(x)} ${writer.num(y)} ${writer.num(width)} ${writer.num(height)} re W n`];
+        const viewBox = (el.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            const sx = width / viewBox[2];
+            const sy = height / viewBox[3];
+            ops.push(`${writer.num(sx)} 0 0 ${writer.num(sy)} ` +
+                `${writer.num(x - viewBox[0] * sx)} ${writer.num(y - viewBox[1] * sy)} cm`);
+        } else {
+            ops.push(`1 0 0 1 ${writer.num(x)} ${writer.num(y)} cm`);
+        }
+        writer.write(ops.join(' '));
+        Array.from(el.children).forEach(child => this.drawNode(writer, child, style));
+        writer.write('Q');
+    }
+
+    /**
+     * Fill and/or stroke the current path
+     */
+    paint(writer, pathOps, style) {
+        const fill = writer.color(style.fill);
+        const stroke = writer.color(style.stroke);
+        if (!pathOps || (!fill && !stroke)) return;
+
+        const ops = ['q'];
+        if (style.fillOpacity < 1 || style.strokeOpacity < 1) {
+            ops.push(`${writer.opacity(style.fillOpacity, style.strokeOpacity)} gs`);
+        }
+        if (fill) ops.push(`${fill} rg`);
+        if (stroke) {
+            const joins = { miter: 0, round: 1, bevel: 2 };
+            const caps = { butt: 0, round: 1, square: 2 };
+            ops.push(`${stroke} RG ${writer.num(style.strokeWidth)} w ${joins[style.lineJoin] || 0} j ${caps[style.lineCap] || 0} J`);
+            if (style.dashArray.length) {
+                ops.push(`[${style.dashArray.map(v => writer.num(v)).join(' ')}] 0 d`);
+            }
+        }
+        ops.push(pathOps);
+
+        const evenOdd = style.fillRule === 'evenodd' ? '*' : '';
+        if (fill && stroke) ops.push('B' + evenOdd);
+        else if (fill) ops.push('f' + evenOdd);
+        else ops.push('S');
+        ops.push('Q');
+
+        writer.write(ops.join(' '));
+    }
+
+    /**
+     * Rect element to path operators (corner radius is ignored)
+     */
+    rectToOps(writer, el) {
+        const n = name => parseFloat(el.getAttribute(name)) || 0;
+        const width = n('width');
+        const height = n('height');
+        if (width <= 0 || height <= 0) return '';
+        return `${writer.num(n('x'))} ${writer.num(n('y'))} ${writer.num(width)} ${writer.num(height)} re`;
+    }
+
+    /**
+     * SVG path data to PDF path operators.
+     * Handles M/L/H/V/C/Z in absolute and relative form, which covers
+     * everything SVGGenerator emits.
+     * @param {PDFWriter} writer
+     * @param {string} d
+     * @returns {string}
+     */
+    pathDataToOps(writer, d) {
+        const tokens = d.match(/[MLHVCZmlhvcz]|-?\d*\.?\d+(?:e[-+]?\d+)?/g) || [];
+        const ops = [];
+        const n = v => writer.num(v);
+        let i = 0;
+        let command = null;
+        let x = 0, y = 0, startX = 0, startY = 0;
+
+        const next = () => parseFloat(tokens[i++]);
+
+        while (i < tokens.length) {
+            if (/[A-Za-z]/.test(tokens[i])) command = tokens[i++];
+            const relative = command === command.toLowerCase();
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+
+            switch (command.toUpperCase()) {
+                case 'M':
+                    x = ox + next();
+                    y = oy + next();
+                    startX = x;
+                    startY = y;
+                    ops.push(`${n(x)} ${n(y)} m`);
+                    // Further pairs after M are implicit line-tos
+                    command = relative ? 'l' : 'L';
+                    break;
+                case 'L':
+                    x = ox + next();
+                    y = oy + next();
+                    ops.push(`${n(x)} ${n(y)} l`);
+                    break;
+                case 'H':
+                    x = ox + next();
+                    ops.push(`${n(x)} ${n(y)} l`);
+                    break;
+                case 'V':
+                    y = oy + next();
+                    ops.push(`${n(x)} ${n(y)} l`);
+                    break;
+                case 'C': {
+                    const x1 = ox + next(), y1 = oy + next();
+                    const x2 = ox + next(), y2 = oy + next();
+                    x = ox + next();
+                    y = oy + next();
+                    ops.push(`${n(x1)} ${n(y1)} ${n(x2)} ${n(y2)} ${n(x)} ${n(y)} c`);
+                    break;
+                }
+                case 'Z':
+                    ops.push('h');
+                    x = startX;
+                    y = startY;
+                    break;
+                default:
+                    i++;
+            }
+        }
+
+        return ops.join(' ');
+    }
+
+    /**
+     * SVG text element to PDF text, kept upright inside the flipped drawing
+     */
+    drawSVGText(writer, el, style) {
+        const text = el.textContent;
+        const fill = writer.color(style.fill);
+        if (!text || !fill) return;
+
+        const bold = style.fontWeight === 'bold' || parseInt(style.fontWeight) >= 600;
+        const size = style.fontSize;
+        const width = writer.textWidth(text, size, style.fontFamily, bold);
+
+        let x = parseFloat(el.getAttribute('x')) || 0;
+        let y = parseFloat(el.getAttribute('y')) || 0;
+        if (style.textAnchor === 'middle') x -= width / 2;
+        else if (style.textAnchor === 'end') x -= width;
+        if (style.baseline === 'middle' || style.baseline === 'central') y += size * 0.35;
+
+        const ops = ['q'];
+        if (style.fillOpacity < 1) ops.push(`${writer.opacity(style.fillOpacity, 1)} gs`);
+        ops.push(`BT ${fill} rg ${writer.font(style.fontFamily, bold)} ${writer.num(size)} Tf`);
+        ops.push(`1 0 0 -1 ${writer.num(x)} ${writer.num(y)} Tm (${writer.escapeText(text)}) Tj ET Q`);
+        writer.write(ops.join(' '));
+    }
+}
@@ -0,0 +1,271 @@
+/* ============================================
+   PDF Writer - Minimal Vector PDF Output
+   ============================================ */
+
+/**
+ * Small self-contained PDF 1.4 writer: pages with raw content-stream
+ * operators, the standard 14 fonts, JPEG images and opacity states.
+ * Coordinates are PDF points (1/72 inch), origin bottom-left.
+ */
+class PDFWriter {
+    constructor() {
+        this.pages = [];
+        this.currentPage = null;
+        this.fonts = new Map();       // base font name -> resource name
+        this.gStates = new Map();     // "fill|stroke" -> resource name
+        this.images = [];             // { name, bytes, width, height }
+        this.info = { Producer: 'Watershed PBN Generator' };
+    }
+
+    /**
+     * Standard page sizes in points
+     */
+    static get PAGE_SIZES() {
+        return {
+            a4: { width: 595.28, height: 841.89 },
+            letter: { width: 612, height: 792 },
+            a3: { width: 841.89, height: 1190.55 }
+        };
+    }
+
+    /**
+     * Start a new page; later write() calls go to it
+     * @param {number} width - Points
+     * @param {number} height - Points
+     */
+    addPage(width, height) {
+        this.currentPage = { width, height, content: [] };
+        this.pages.push(this.currentPage);
+        return this.currentPage;
+    }
+
+    /**
+     * Append content-stream operators to the current page
+     * @param {string} ops
+     */
+    write(ops) {
+        if (!this.currentPage) throw new Error('PDFWriter: addPage() before write()');
+        this.currentPage.content.push(ops);
+    }
+
+    /**
+     * Resource name for a standard font
+     * @param {string} family - 'sans' | 'mono'
+     * @param {boolean} bold
+     * @returns {string} e.g. '/F1'
+     */
+    font(family = 'sans', bold = false) {
+        const baseFont = family === 'mono'
+            ? (bold ? 'Courier-Bold' : 'Courier')
+            : (bold ? 'Helvetica-Bold' : 'Helvetica');
+
+        if (!this.fonts.has(baseFont)) {
+            this.fonts.set(baseFont, `/F${this.fonts.size + 1}`);
+        }
+        return this.fonts.get(baseFont);
+    }
+
+    /**
+     * Resource name for a fill/stroke opacity state
+     * @param {number} fillOpacity
+     * @param {number} strokeOpacity
+     * @returns {string} e.g. '/GS1'
+     */
+    opacity(fillOpacity = 1, strokeOpacity = 1) {
+        const key = `${this.num(fillOpacity)}|${this.num(strokeOpacity)}`;
+        if (!this.gStates.has(key)) {
+            this.gStates.set(key, `/GS${this.gStates.size + 1}`);
+        }
+        return this.gStates.get(key);
+    }
+
+    /**
+     * Register a JPEG image
+     * @param {Uint8Array} bytes - JPEG file data
+     * @param {number} width - Pixels
+     * @param {number} height - Pixels
+     * @returns {string} Resource name, e.g. '/Im1'
+     */
+    addJpeg(bytes, width, height) {
+        const name = `/Im${this.images.length + 1}`;
+        this.images.push({ name, bytes, width, height });
+        return name;
+    }
+
+    /**
+     * Approximate text width for the standard fonts
+     * @param {string} text
+     * @param {number} size
+     * @param {string} family - 'sans' | 'mono'
+     * @param {boolean} bold
+     * @returns {number} Points
+     */
+    textWidth(text, size, family = 'sans', bold = false) {
+        if (family === 'mono') return text.length * size * 0.6;
+
+        // Helvetica advance widths (1/1000 em) for common characters
+        const narrow = 'fijlrtI.,:;!|\' ';
+        const wide = 'mwMW@%';
+        let units = 0;
+        for (const ch of text) {
+            if (ch >= '0' && ch <= '9') units += 556;
+            else if (narrow.includes(ch)) units += 278;
+            else if (wide.includes(ch)) units += 833;
+            else if (ch >= 'A' && ch <= 'Z') units += 667;
+            else units += 556;
+        }
+        return units / 1000 * size * (bold ? 1.05 : 1);
+    }
+
+    /**
+     * Escape text for a PDF string literal (WinAnsi, unsupported chars become '?')
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+            .replace(/([\\()])/g, '\\$1');
+    }
+
+    /**
+     * Format a number compactly for content streams
+     * @param {number} n
+     * @returns {string}
+     */
+    num(n) {
+        return (Math.round(n * 1000) / 1000).toString();
+    }
+
+    /**
+     * Colour operator arguments from '#rrggbb' / '#rgb'
+     * @param {string} hex
+     * @returns {string|null} 'r g b' in 0..1, or null for none
+     */
+    color(hex) {
+        if (!hex || hex === 'none' || hex === 'transparent') return null;
+        const named = { black: '#000000', white: '#ffffff' };
+        let value = named[hex] || hex;
+        if (/^#[0-9a-f]{3}$/i.test(value)) {
+            value = '#' + value.slice(1).split('').map(c => c + c).join('');
+        }
+        const rgb = Utils.hexToRgb(value);
+        if (!rgb) return null;
+        return `${this.num(rgb.r / 255)} ${this.num(rgb.g / 255)} ${this.num(rgb.b / 255)}`;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Uint8Array} PDF file data
+     */
+    output() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const push = (data) => {
+            const bytes = typeof data === 'string' ? this.latin1(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        // Object numbers: 1 catalog, 2 pages, 3 resources, 4 info, then the rest
+        let nextId = 5;
+        const fontIds = new Map();
+        this.fonts.forEach((name, baseFont) => fontIds.set(baseFont, nextId++));
+        const gStateIds = new Map();
+        this.gStates.forEach((name, key) => gStateIds.set(key, nextId++));
+        const imageIds = this.images.map(() => nextId++);
+        const pageIds = this.pages.map(() => {
+            const ids = { page: nextId, content: nextId + 1 };
+            nextId += 2;
+            return ids;
+        });
+
+        const object = (id, body, stream = null) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${body}\n`);
+            if (stream !== null) {
+                push('stream\n');
+                push(stream);
+                push('\nendstream\n');
+            }
+            push('endobj\n');
+        };
+
+        push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(p => `${p.page} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+
+        const fontRes = [...this.fonts].map(([baseFont, name]) => `${name} ${fontIds.get(baseFont)} 0 R`).join(' ');
+        const gStateRes = [...this.gStates].map(([key, name]) => `${name} ${gStateIds.get(key)} 0 R`).join(' ');
+        const imageRes = this.images.map((img, i) => `${img.name} ${imageIds[i]} 0 R`).join(' ');
+        object(3, `<< /ProcSet [/PDF /Text /ImageC] /Font << ${fontRes} >> /ExtGState << ${gStateRes} >> /XObject << ${imageRes} >> >>`);
+
+        const infoEntries = Object.entries(this.info)
+            .map(([key, value]) => `/${key} (${this.escapeText(value)})`).join(' ');
+        object(4, `<< ${infoEntries} >>`);
+
+        this.fonts.forEach((name, baseFont) => {
+            object(fontIds.get(baseFont), `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+        });
+
+        this.gStates.forEach((name, key) => {
+            const [fill, stroke] = key.split('|');
+            object(gStateIds.get(key), `<< /Type /ExtGState /ca ${fill} /CA ${stroke} >>`);
+        });
+
+        this.images.forEach((img, i) => {
+            object(imageIds[i],
+                `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.bytes.length} >>`,
+                img.bytes);
+        });
+
+        this.pages.forEach((page, i) => {
+            const content = this.latin1(page.content.join('\n'));
+            object(pageIds[i].page,
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(page.width)} ${this.num(page.height)}] ` +
+                `/Resources 3 0 R /Contents ${pageIds[i].content} 0 R >>`);
+            object(pageIds[i].content, `<< /Length ${content.length} >>`, content);
+        });
+
+        const xrefOffset = length;
+        let xref = `xref\n0 ${nextId}\n0000000000 65535 f \n`;
+        for (let id = 1; id < nextId; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        push(xref);
+        push(`trailer\n<< /Size ${nextId} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(bytes => {
+            result.set(bytes, offset);
+            offset += bytes.length;
+        });
+        return result;
+    }
+
+    /**
+     * Serialize the document as a Blob
+     * @returns {Blob}
+     */
+    toBlob() {
+        return new Blob([this.output()], { type: 'application/pdf' });
+    }
+
+    /**
+     * String to bytes, one byte per char (content is ASCII / WinAnsi)
+     * @param {string} str
+     * @returns {Uint8Array}
+     */
+    latin1(str) {
+        const bytes = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+}
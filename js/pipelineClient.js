@@ -0,0 +1,216 @@
+/* ============================================
+   Pipeline Client - Worker Orchestration
+   ============================================ */
+
+class PipelineClient {
+    /**
+     * @param {string} workerUrl - Path to the pipeline worker script
+     */
+    constructor(workerUrl = 'js/pipelineWorker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerFailed = false;
+        this.pending = null;
+        this.nextId = 1;
+        this.abortTimeout = 1000; // ms to wait for the worker before terminating it
+    }
+
+    /**
+     * Process an image, in the worker when possible.
+     * Same contract as WatershedProcessor.process; rejects with an error
+     * named 'AbortError' when cancelled.
+     * @param {ImageData} imageData
+     * @param {Object} options - Processing options
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Processing result
+     */
+    process(imageData, options, onProgress = null) {
+        if (this.pending) {
+            return Promise.reject(new Error('Processing already in progress'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending = {
+                id: this.nextId++,
+                imageData,
+                options,
+                onProgress,
+                resolve,
+                reject,
+                controller: null,
+                abortTimer: null
+            };
+
+            const worker = this.getWorker();
+            if (worker) {
+                worker.postMessage({ type: 'process', id: this.pending.id, imageData, options });
+            } else {
+                this.runOnMainThread();
+            }
+        });
+    }
+
+    /**
+     * Cancel the running job, if any
+     */
+    cancel() {
+        const job = this.pending;
+        if (!job) return;
+
+        if (job.controller) {
+            // Main-thread fallback: stops at the next pipeline step
+            job.controller.abort();
+            return;
+        }
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'abort', id: job.id });
+
+            // A step can run for seconds; don't wait for it to finish
+            job.abortTimer = setTimeout(() => {
+                if (this.pending !== job) return;
+                console.warn('Worker did not stop in time, terminating it');
+                this.terminate();
+                this.settle(job, null, this.createAbortError());
+            }, this.abortTimeout);
+        }
+    }
+
+    /**
+     * Whether a job is running
+     * @returns {boolean}
+     */
+    isBusy() {
+        return this.pending !== null;
+    }
+
+    /**
+     * Create (or reuse) the worker; null when workers are unavailable
+     * @returns {Worker|null}
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (this.workerFailed || typeof Worker === 'undefined') return null;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                e.preventDefault();
+                this.handleWorkerFailure(e.message || 'Worker error');
+            };
+        } catch (e) {
+            // e.g. pages opened from file:// may not start workers
+            console.warn('Web Worker unavailable, processing on main thread:', e);
+            this.workerFailed = true;
+            this.worker = null;
+        }
+
+        return this.worker;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message
+     */
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            console.log('✅ Pipeline worker ready');
+            return;
+        }
+
+        if (message.type === 'error' && message.fatal) {
+            this.handleWorkerFailure(message.message);
+            return;
+        }
+
+        const job = this.pending;
+        if (!job || message.id !== job.id) return;
+
+        switch (message.type) {
+            case 'progress':
+                job.onProgress && job.onProgress({ percent: message.percent, message: message.message });
+                break;
+            case 'result':
+                // Structured cloning drops the graph's methods
+                message.result.adjacency = RegionAdjacencyGraph.revive(message.result.adjacency);
+                this.settle(job, message.result, null);
+                break;
+            case 'aborted':
+                this.settle(job, null, this.createAbortError());
+                break;
+            case 'error':
+                this.settle(job, null, new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * The worker cannot run (script or OpenCV failed to load):
+     * stop using it and finish the pending job on the main thread
+     * @param {string} reason
+     */
+    handleWorkerFailure(reason) {
+        console.warn('Pipeline worker failed, falling back to main thread:', reason);
+        this.workerFailed = true;
+        this.terminate();
+
+        if (this.pending && !this.pending.controller) {
+            this.runOnMainThread();
+        }
+    }
+
+    /**
+     * Run the pending job with WatershedProcessor on the main thread
+     */
+    async runOnMainThread() {
+        const job = this.pending;
+        job.controller = new AbortController();
+
+        try {
+            const processor = new WatershedProcessor();
+            const result = await processor.process(
+                job.imageData,
+                { ...job.options, signal: job.controller.signal },
+                job.onProgress
+            );
+            this.settle(job, result, null);
+        } catch (error) {
+            this.settle(job, null, error);
+        }
+    }
+
+    /**
+     * Resolve or reject a job and clear it
+     */
+    settle(job, result, error) {
+        if (this.pending !== job) return;
+        clearTimeout(job.abortTimer);
+        this.pending = null;
+
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    /**
+     * @returns {Error}
+     */
+    createAbortError() {
+        const error = new Error('Processing cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Stop the worker; a new one is created on the next job
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
@@ -0,0 +1,139 @@
+/* ============================================
+   Pipeline Worker - Background Processing
+   ============================================ */
+
+/*
+ * Runs the OpenCV pipeline (preprocess, quantize, markers, watershed,
+ * extraction) off the main thread.
+ *
+ * Messages in:
+ *   { type: 'process', id, imageData, options }
+ *   { type: 'abort', id }
+ * Messages out:
+ *   { type: 'ready' }                       OpenCV loaded
+ *   { type: 'progress', id, percent, message }
+ *   { type: 'result', id, result }
+ *   { type: 'aborted', id }
+ *   { type: 'error', id, message, fatal }   fatal = worker cannot run at all
+ */
+
+importScripts(
+    'utils.js',
+    'colorQuantizer.js',
+    'regionExtractor.js',
+    'boundaryGraph.js',
+    'labelPlacer.js',
+    'regionAdjacency.js',
+    'printSize.js',
+    'importanceMap.js',
+    'watershedProcessor.js'
+);
+
+const OPENCV_URLS = [
+    'https://docs.opencv.org/4.9.0/opencv.js',
+    'https://cdn.jsdelivr.net/npm/opencv.js@4.9.0/opencv.js'
+];
+
+let currentJob = null;
+
+/**
+ * Load OpenCV.js into the worker
+ * @returns {Promise<void>}
+ */
+function loadOpenCV() {
+    return new Promise((resolve, reject) => {
+        self.Module = {
+            onRuntimeInitialized: () => resolve()
+        };
+
+        let loaded = false;
+        for (const url of OPENCV_URLS) {
+            try {
+                importScripts(url);
+                loaded = true;
+                break;
+            } catch (e) {
+                console.error('Worker: failed to load OpenCV.js from', url, e);
+            }
+        }
+
+        if (!loaded) {
+            reject(new Error('OpenCV.js could not be loaded in the worker'));
+            return;
+        }
+
+        // Some builds hand back a promise instead of calling onRuntimeInitialized
+        if (typeof cv !== 'undefined' && cv.Mat) {
+            resolve();
+        } else if (typeof cv !== 'undefined' && typeof cv.then === 'function') {
+            cv.then(module => {
+                self.cv = module;
+                resolve();
+            });
+        }
+    });
+}
+
+const opencvReady = loadOpenCV();
+
+opencvReady
+    .then(() => self.postMessage({ type: 'ready' }))
+    .catch(error => self.postMessage({ type: 'error', id: null, message: error.message, fatal: true }));
+
+/**
+ * Run one processing job
+ * @param {Object} message - { id, imageData, options }
+ */
+async function runJob({ id, imageData, options }) {
+    const controller = new AbortController();
+    currentJob = { id, controller };
+
+    try {
+        await opencvReady;
+        if (controller.signal.aborted) {
+            self.postMessage({ type: 'aborted', id });
+            return;
+        }
+
+        const processor = new WatershedProcessor();
+        const result = await processor.process(
+            imageData,
+            { ...options, signal: controller.signal },
+            (progress) => self.postMessage({ type: 'progress', id, ...progress })
+        );
+
+        // The label map is the one large buffer: move it instead of copying
+        self.postMessage({ type: 'result', id, result }, [result.labelMap.buffer]);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            self.postMessage({ type: 'aborted', id });
+        } else {
+            console.error('Worker: processing failed', error);
+            self.postMessage({
+                type: 'error',
+                id,
+                message: error.message || String(error),
+                fatal: typeof cv === 'undefined' || !cv.Mat
+            });
+        }
+    } finally {
+        currentJob = null;
+    }
+}
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'process':
+            runJob(message);
+            break;
+        case 'abort':
+            if (currentJob && currentJob.id === message.id) {
+                currentJob.controller.abort();
+            }
+            break;
+        default:
+            console.warn('Worker: unknown message type', message.type);
+    }
+};
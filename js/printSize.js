@@ -0,0 +1,82 @@
+/* ============================================
+   Print Size - Physical Output Dimensions
+   ============================================ */
+
+class PrintSize {
+    /**
+     * Target physical size for the printed template.
+     * Give a width, a height or both; the image aspect ratio is kept and
+     * the result fits inside whatever is given.
+     * @param {Object} options
+     * @param {number|null} options.width - In `unit`
+     * @param {number|null} options.height - In `unit`
+     * @param {string} options.unit - 'mm' | 'cm' | 'in'
+     * @param {number} options.dpi - Raster resolution for PNG output
+     */
+    constructor({ width = null, height = null, unit = 'mm', dpi = 300 } = {}) {
+        this.width = width > 0 ? width : null;
+        this.height = height > 0 ? height : null;
+        this.unit = PrintSize.UNITS_PER_INCH[unit] ? unit : 'mm';
+        this.dpi = dpi > 0 ? dpi : 300;
+    }
+
+    /**
+     * How many of each unit make an inch
+     */
+    static get UNITS_PER_INCH() {
+        return { mm: 25.4, cm: 2.54, in: 1 };
+    }
+
+    /**
+     * Whether a physical size was given at all
+     * @returns {boolean}
+     */
+    isSet() {
+        return this.width !== null || this.height !== null;
+    }
+
+    /**
+     * Resolve the physical size for an image
+     * @param {number} sourceWidth - Template width (SVG user units / image pixels)
+     * @param {number} sourceHeight - Template height
+     * @returns {Object|null} { width, height, unit, widthIn, heightIn,
+     *   unitsPerPoint, pixelWidth, pixelHeight }, or null when no size is set
+     */
+    resolve(sourceWidth, sourceHeight) {
+        if (!this.isSet() || !sourceWidth || !sourceHeight) return null;
+
+        const aspect = sourceHeight / sourceWidth;
+        let width = this.width !== null ? this.width : this.height / aspect;
+        let height = width * aspect;
+
+        if (this.height !== null && height > this.height) {
+            height = this.height;
+            width = height / aspect;
+        }
+
+        const perInch = PrintSize.UNITS_PER_INCH[this.unit];
+        const widthIn = width / perInch;
+        const heightIn = height / perInch;
+
+        return {
+            width,
+            height,
+            unit: this.unit,
+            widthIn,
+            heightIn,
+            // SVG user units per typographic point (1/72 in)
+            unitsPerPoint: sourceWidth / (widthIn * 72),
+            pixelWidth: Math.round(widthIn * this.dpi),
+            pixelHeight: Math.round(heightIn * this.dpi)
+        };
+    }
+
+    /**
+     * SVG length attribute, e.g. '300.00mm'
+     * @param {number} value
+     * @returns {string}
+     */
+    formatLength(value) {
+        return `${value.toFixed(2)}${this.unit}`;
+    }
+}
@@ -0,0 +1,174 @@
+/* ============================================
+   Region Adjacency - Which Regions Touch
+   ============================================ */
+
+/**
+ * Region adjacency graph of a label map: for every label, the labels it
+ * shares a border with and how long that border is (in pixel edges,
+ * 4-connected), plus the pixel count per label. Built in one pass over the
+ * map and kept up to date through merges, so nothing has to rediscover
+ * neighbours by scanning masks.
+ *
+ * The graph holds only Maps, so it survives structured cloning out of the
+ * pipeline worker; `revive()` puts the methods back.
+ */
+class RegionAdjacencyGraph {
+    constructor() {
+        this.adjacency = new Map(); // label -> Map(neighbour label -> border length)
+        this.sizes = new Map();     // label -> pixel count
+    }
+
+    /**
+     * Build the graph from a label map
+     * @param {Int32Array} labels - Label per pixel (row-major, > 0 for regions)
+     * @param {number} width
+     * @param {number} height
+     * @returns {RegionAdjacencyGraph}
+     */
+    static fromLabelMap(labels, width, height) {
+        const graph = new RegionAdjacencyGraph();
+
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                const label = labels[i];
+                graph.sizes.set(label, (graph.sizes.get(label) || 0) + 1);
+                if (x < width - 1 && labels[i + 1] !== label) graph.addBorder(label, labels[i + 1], 1);
+                if (y < height - 1 && labels[i + width] !== label) graph.addBorder(label, labels[i + width], 1);
+            }
+        }
+
+        return graph;
+    }
+
+    /**
+     * Restore the methods on a graph that was structured-cloned
+     * @param {Object|RegionAdjacencyGraph|null} data
+     * @returns {RegionAdjacencyGraph|null}
+     */
+    static revive(data) {
+        if (!data || data instanceof RegionAdjacencyGraph) return data || null;
+        return Object.assign(new RegionAdjacencyGraph(), data);
+    }
+
+    /**
+     * @param {number} a
+     * @param {number} b
+     * @param {number} length
+     */
+    addBorder(a, b, length) {
+        if (a <= 0 || b <= 0 || a === b) return;
+        if (!this.adjacency.has(a)) this.adjacency.set(a, new Map());
+        if (!this.adjacency.has(b)) this.adjacency.set(b, new Map());
+        const fromA = this.adjacency.get(a);
+        fromA.set(b, (fromA.get(b) || 0) + length);
+        const fromB = this.adjacency.get(b);
+        fromB.set(a, (fromB.get(a) || 0) + length);
+    }
+
+    /**
+     * Labels touching a label, longest shared border first
+     * @param {number} label
+     * @returns {Array<{label: number, border: number}>}
+     */
+    neighbours(label) {
+        const borders = this.adjacency.get(label);
+        if (!borders) return [];
+        return [...borders.entries()]
+            .map(([neighbour, border]) => ({ label: neighbour, border }))
+            .sort((a, b) => b.border - a.border);
+    }
+
+    /**
+     * Shared border length between two labels (0 when they do not touch)
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    borderLength(a, b) {
+        const borders = this.adjacency.get(a);
+        return borders ? borders.get(b) || 0 : 0;
+    }
+
+    /**
+     * @param {number} label
+     * @returns {number} Pixel count
+     */
+    size(label) {
+        return this.sizes.get(label) || 0;
+    }
+
+    /**
+     * Fold one label into another after its pixels were relabelled: the
+     * target takes over its borders and size, and the border between the
+     * two disappears
+     * @param {number} label
+     * @param {number} target
+     */
+    mergeInto(label, target) {
+        if (label === target) return;
+
+        const borders = this.adjacency.get(label) || new Map();
+        borders.forEach((length, neighbour) => {
+            const back = this.adjacency.get(neighbour);
+            if (back) back.delete(label);
+            if (neighbour !== target) this.addBorder(target, neighbour, length);
+        });
+        this.adjacency.delete(label);
+
+        this.sizes.set(target, this.size(target) + this.size(label));
+        this.sizes.delete(label);
+    }
+
+    /**
+     * CIEDE2000 difference between the colours of two labels
+     * @param {number} a
+     * @param {number} b
+     * @param {Int32Array} labelColors - Palette id per label
+     * @param {Array} palette
+     * @returns {number}
+     */
+    colorDistance(a, b, labelColors, palette) {
+        const labOf = label => {
+            const color = palette[labelColors[label] - 1];
+            return Utils.rgbToLab(color.rgb.r, color.rgb.g, color.rgb.b);
+        };
+        return Utils.deltaE2000(labOf(a), labOf(b));
+    }
+
+    /**
+     * Touching labels whose different palette colours are hard to tell apart
+     * @param {Int32Array} labelColors - Palette id per label
+     * @param {Array} palette
+     * @param {number} maxDeltaE - Colours closer than this count as similar
+     * @returns {Array<{a: number, b: number, colors: Array<number>, border: number, deltaE: number}>}
+     *   Most similar first
+     */
+    similarNeighbours(labelColors, palette, maxDeltaE = 3) {
+        // Colour pairs are compared once, however many borders they share
+        const distances = new Map();
+        const distance = (idA, idB) => {
+            const key = Math.min(idA, idB) + ',' + Math.max(idA, idB);
+            if (!distances.has(key)) {
+                const labA = Utils.rgbToLab(palette[idA - 1].rgb.r, palette[idA - 1].rgb.g, palette[idA - 1].rgb.b);
+                const labB = Utils.rgbToLab(palette[idB - 1].rgb.r, palette[idB - 1].rgb.g, palette[idB - 1].rgb.b);
+                distances.set(key, Utils.deltaE2000(labA, labB));
+            }
+            return distances.get(key);
+        };
+
+        const pairs = [];
+        this.adjacency.forEach((borders, a) => {
+            borders.forEach((border, b) => {
+                if (b <= a) return;
+                const idA = labelColors[a];
+                const idB = labelColors[b];
+                if (!idA || !idB || idA === idB || !palette[idA - 1] || !palette[idB - 1]) return;
+
+                const deltaE = distance(idA, idB);
+                if (deltaE < maxDeltaE) pairs.push({ a, b, colors: [idA, idB], border, deltaE });
+            });
+        });
+
+        return pairs.sort((p, q) => p.deltaE - q.deltaE);
+    }
+}
@@ -0,0 +1,256 @@
+/* ============================================
+   Region Editor - Merge, Recolour and Cut Regions
+   ============================================ */
+
+/**
+ * Edits single regions of a processing result in place. Every edit changes
+ * the label map (or the colour of one label) and traces the regions and
+ * shared borders again, so the template stays a clean partition.
+ */
+class RegionEditor {
+    /**
+     * @param {Object} result - Processing result with labelMap and labelColors
+     * @param {Object} options
+     * @param {number} options.minRegionSize - Used when regions are traced again
+     * @param {boolean} options.geometricStyle - Used when regions are traced again
+     * @param {string} options.smallRegionMerge - Used when regions are traced again
+     * @param {number} options.minPaintWidth - Brush width in pixels; narrower parts are
+     *   absorbed again before regions are traced (0 = off)
+     */
+    constructor(result, options = {}) {
+        const { minRegionSize = 100, geometricStyle = false, smallRegionMerge = 'border', minPaintWidth = 0 } = options;
+
+        if (!result.labelMap || !result.labelColors) {
+            throw new Error('This result has no label map; generate it again to edit regions');
+        }
+
+        this.result = result;
+        this.minRegionSize = minRegionSize;
+        this.geometricStyle = geometricStyle;
+        this.smallRegionMerge = smallRegionMerge;
+        this.minPaintWidth = minPaintWidth;
+        this.processor = new WatershedProcessor();
+    }
+
+    /**
+     * Region under a point of the template
+     * @param {number} x - Template pixels
+     * @param {number} y
+     * @returns {Object|null}
+     */
+    regionAt(x, y) {
+        const { labelMap, width, height } = this.result;
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (px < 0 || py < 0 || px >= width || py >= height) return null;
+
+        const label = labelMap[py * width + px];
+        return this.result.regions.find(region => region.id === label) || null;
+    }
+
+    /**
+     * @param {number} id - Region id (its label)
+     * @returns {Object}
+     */
+    getRegion(id) {
+        const region = this.result.regions.find(r => r.id === id);
+        if (!region) throw new Error(`There is no region ${id}`);
+        return region;
+    }
+
+    /**
+     * Regions sharing a border with a region, longest border first
+     * @param {number} id
+     * @returns {Array<{region: Object, border: number}>} border in template pixels
+     */
+    neighbours(id) {
+        const byId = new Map(this.result.regions.map(region => [region.id, region]));
+        return this.adjacency().neighbours(id)
+            .map(({ label, border }) => ({ region: byId.get(label), border }))
+            .filter(entry => entry.region);
+    }
+
+    /**
+     * The result's adjacency graph, built from the label map when a result
+     * from before the graph existed is edited
+     * @returns {RegionAdjacencyGraph}
+     */
+    adjacency() {
+        const { labelMap, width, height } = this.result;
+        this.result.adjacency = RegionAdjacencyGraph.revive(this.result.adjacency) ||
+            RegionAdjacencyGraph.fromLabelMap(labelMap, width, height);
+        return this.result.adjacency;
+    }
+
+    /**
+     * Merge a region into another; it takes the other region's colour
+     * @param {number} id
+     * @param {number} intoId
+     */
+    merge(id, intoId) {
+        if (id === intoId) throw new Error('Choose a different region to merge into');
+        this.getRegion(id);
+        this.getRegion(intoId);
+
+        const { labelMap } = this.result;
+        for (let i = 0; i < labelMap.length; i++) {
+            if (labelMap[i] === id) labelMap[i] = intoId;
+        }
+
+        // The grown region may now touch others of its colour
+        this.processor.joinSameColorLabels(labelMap, this.result.width, this.result.height,
+            this.result.labelColors, new Set([intoId]));
+        this.rebuild();
+    }
+
+    /**
+     * Paint a region with another palette colour
+     * @param {number} id
+     * @param {number} colorId
+     */
+    recolor(id, colorId) {
+        const region = this.getRegion(id);
+        const color = this.result.palette[colorId - 1];
+        if (!color) throw new Error(`There is no colour ${colorId}`);
+
+        const { labelMap, labelColors, width, height } = this.result;
+        labelColors[id] = colorId;
+
+        if (this.processor.joinSameColorLabels(labelMap, width, height, labelColors, new Set([id]))) {
+            this.rebuild();
+        } else {
+            region.colorId = colorId;
+            region.color = color;
+        }
+    }
+
+    /**
+     * Cut a region in two along a straight line. The line must cross the
+     * region from border to border; both pieces keep the region's colour.
+     * @param {number} id
+     * @param {{x1, y1, x2, y2}} cut - Template pixels
+     * @returns {Array<number>} Ids of the new pieces
+     */
+    split(id, cut) {
+        this.getRegion(id);
+        const { labelMap, width, height } = this.result;
+
+        // The region's pixels, with the ones on the cut line held back
+        const dx = cut.x2 - cut.x1;
+        const dy = cut.y2 - cut.y1;
+        const lengthSq = dx * dx + dy * dy;
+        if (lengthSq < 4) throw new Error('Draw a longer cut line');
+
+        const onCut = (x, y) => {
+            // Pixel centre to segment distance; 0.75 keeps the line 4-connected
+            const px = x + 0.5;
+            const py = y + 0.5;
+            const t = Math.max(0, Math.min(1, ((px - cut.x1) * dx + (py - cut.y1) * dy) / lengthSq));
+            return Math.hypot(px - (cut.x1 + t * dx), py - (cut.y1 + t * dy)) <= 0.75;
+        };
+
+        const pieceOf = new Int32Array(labelMap.length).fill(-1);
+        const cutPixels = [];
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                if (labelMap[i] !== id) continue;
+                if (onCut(x, y)) cutPixels.push(i);
+                else pieceOf[i] = 0; // unvisited
+            }
+        }
+
+        // 4-connected pieces of what is left
+        const pieces = [];
+        for (let start = 0; start < pieceOf.length; start++) {
+            if (pieceOf[start] !== 0) continue;
+            const piece = pieces.length + 1;
+            const pixels = [start];
+            pieceOf[start] = piece;
+            for (let k = 0; k < pixels.length; k++) {
+                const i = pixels[k];
+                const x = i % width;
+                const next = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    i - width,
+                    i + width
+                ];
+                next.forEach(n => {
+                    if (n >= 0 && n < pieceOf.length && pieceOf[n] === 0) {
+                        pieceOf[n] = piece;
+                        pixels.push(n);
+                    }
+                });
+            }
+            pieces.push(pixels);
+        }
+
+        // Crumbs below the minimum size stay with the biggest piece
+        pieces.sort((a, b) => b.length - a.length);
+        const kept = pieces.filter(pixels => pixels.length >= this.minRegionSize);
+        if (kept.length < 2) {
+            throw new Error('Draw the cut line all the way across the region, leaving two pieces of at least Min Region Size');
+        }
+
+        const colorId = this.result.labelColors[id];
+        const labelColors = new Int32Array(this.result.labelColors.length + kept.length - 1);
+        labelColors.set(this.result.labelColors);
+
+        const newIds = [];
+        kept.slice(1).forEach((pixels, index) => {
+            const label = this.result.labelColors.length + index;
+            labelColors[label] = colorId;
+            pixels.forEach(i => { labelMap[i] = label; });
+            newIds.push(label);
+        });
+        this.result.labelColors = labelColors;
+
+        // Cut-line pixels join a neighbouring piece of the same region
+        const pieceLabels = new Set([id, ...newIds]);
+        let pending = cutPixels;
+        pending.forEach(i => { labelMap[i] = -1; });
+        while (pending.length > 0) {
+            const filled = [];
+            const remaining = [];
+            pending.forEach(i => {
+                const x = i % width;
+                const candidates = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+                const n = candidates.find(c => c >= 0 && c < labelMap.length && pieceLabels.has(labelMap[c]));
+                if (n !== undefined) filled.push([i, labelMap[n]]);
+                else remaining.push(i);
+            });
+            if (filled.length === 0) {
+                remaining.forEach(i => { labelMap[i] = id; });
+                break;
+            }
+            filled.forEach(([i, label]) => { labelMap[i] = label; });
+            pending = remaining;
+        }
+
+        this.rebuild();
+        return newIds;
+    }
+
+    /**
+     * Trace regions and shared borders from the label map again
+     */
+    rebuild() {
+        const { labelMap, width, height } = this.result;
+
+        // An edit can leave parts narrower than the brush, like a cut close to a border
+        const slivers = this.processor.absorbSlivers(labelMap, width, height, this.minPaintWidth);
+        if (slivers) {
+            const before = this.result.slivers || { regions: 0, parts: 0 };
+            this.result.slivers = { ...slivers, regions: before.regions + slivers.regions, parts: before.parts + slivers.parts };
+        }
+
+        const { labelColors, palette } = this.result;
+        const { regions, edges, adjacency } = this.processor.buildRegions(
+            labelMap, width, height, labelColors, palette,
+            this.minRegionSize, this.geometricStyle, this.smallRegionMerge, this.result.detailMap || null
+        );
+        this.result.regions = regions;
+        this.result.edges = edges;
+        this.result.adjacency = adjacency;
+    }
+}
@@ -43,13 +43,242 @@ class RegionExtractor {
     }
 
     /**
-     * Merge small regions into neighbors
-     * @param {Array} regions
-     * @param {number} minSize
-     * @returns {Array} Filtered regions
+     * Simplify an open polyline with Douglas-Peucker, keeping both endpoints.
+     * Pure JS so shared border edges can be simplified without OpenCV.
+     * @param {Array} points - Array of {x, y} points
+     * @param {number} epsilon - Approximation accuracy
+     * @returns {Array} Simplified polyline
+     */
+    simplifyPolyline(points, epsilon = 2.0) {
+        if (points.length < 3) return points.slice();
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const a = points[first];
+            const b = points[last];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSq = dx * dx + dy * dy;
+
+            let maxDist = 0;
+            let maxIndex = -1;
+            for (let i = first + 1; i < last; i++) {
+                const p = points[i];
+                // Distance to segment a-b (or to a when a and b coincide)
+                const dist = lengthSq === 0
+                    ? Math.hypot(p.x - a.x, p.y - a.y)
+                    : Math.abs(dy * p.x - dx * p.y + b.x * a.y - b.y * a.x) / Math.sqrt(lengthSq);
+                if (dist > maxDist) {
+                    maxDist = dist;
+                    maxIndex = i;
+                }
+            }
+
+            if (maxIndex !== -1 && maxDist > epsilon) {
+                keep[maxIndex] = 1;
+                stack.push([first, maxIndex], [maxIndex, last]);
+            }
+        }
+
+        return points.filter((p, i) => keep[i]);
+    }
+
+    /**
+     * Merge small regions into neighbors, smallest first, so every pixel
+     * keeps a region. The graph is updated as regions merge, so a region
+     * that grew past the minimum stays.
+     * @param {Int32Array} labels - Label map (modified in place)
+     * @param {RegionAdjacencyGraph} graph - Built from `labels` (updated too)
+     * @param {number|Function} minSize - Minimum region size in pixels, or (label) => size
+     * @param {Object} options
+     * @param {string} options.mergeInto - 'border' (neighbour with the longest
+     *   shared border) or 'color' (neighbour with the closest palette colour)
+     * @param {Int32Array} options.labelColors - Palette id per label, for 'color'
+     * @param {Array} options.palette - For 'color'
+     * @returns {number} Number of regions merged away
+     */
+    filterSmallRegions(labels, graph, minSize, options = {}) {
+        const { mergeInto = 'border', labelColors = null, palette = null } = options;
+        const byColor = mergeInto === 'color' && labelColors && palette;
+        const minSizeOf = typeof minSize === 'function' ? minSize : () => minSize;
+
+        const smallLabels = [...graph.sizes.keys()]
+            .filter(label => label > 0 && graph.size(label) < minSizeOf(label))
+            .sort((a, b) => graph.size(a) - graph.size(b));
+
+        const mergedInto = new Map();
+        smallLabels.forEach(label => {
+            // Re-check size (may have grown from earlier merges)
+            if (!graph.sizes.has(label) || graph.size(label) >= minSizeOf(label)) return;
+
+            // Neighbours come longest border first, which also breaks colour ties
+            const neighbours = graph.neighbours(label);
+            if (neighbours.length === 0) return;
+
+            let target = neighbours[0].label;
+            if (byColor) {
+                let bestDistance = Infinity;
+                neighbours.forEach(({ label: neighbour }) => {
+                    const distance = labelColors[neighbour] === labelColors[label]
+                        ? 0
+                        : graph.colorDistance(label, neighbour, labelColors, palette);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        target = neighbour;
+                    }
+                });
+            }
+
+            graph.mergeInto(label, target);
+            mergedInto.set(label, target);
+        });
+
+        if (mergedInto.size === 0) return 0;
+
+        // Relabel in one pass, following chains of merges to the final label
+        const finalLabel = new Map();
+        mergedInto.forEach((target, label) => {
+            while (mergedInto.has(target)) target = mergedInto.get(target);
+            finalLabel.set(label, target);
+        });
+        for (let i = 0; i < labels.length; i++) {
+            const target = finalLabel.get(labels[i]);
+            if (target !== undefined) labels[i] = target;
+        }
+
+        return mergedInto.size;
+    }
+
+    /**
+     * Find the parts of regions too narrow to paint with a brush of the given
+     * width: a morphological opening of every region with a disk of that
+     * diameter, using distances measured inside the region. Pixels the disk
+     * cannot reach are set to 0 so the caller can hand them to neighbours;
+     * regions with no such room at all disappear entirely.
+     * @param {Int32Array} labels - Label map (modified in place)
+     * @param {number} width
+     * @param {number} height
+     * @param {number} minWidth - Brush width in pixels
+     * @returns {{regions: number, parts: number}} Regions removed entirely,
+     *   and narrow parts cut off regions that stay
+     */
+    filterSlivers(labels, width, height, minWidth) {
+        const radius = minWidth / 2;
+        const size = labels.length;
+
+        // Distance to the nearest pixel of another region (or the frame)
+        const border = new Float32Array(size).fill(Infinity);
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                const label = labels[i];
+                if (x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+                    labels[i - 1] !== label || labels[i + 1] !== label ||
+                    labels[i - width] !== label || labels[i + width] !== label) {
+                    border[i] = 1;
+                }
+            }
+        }
+        this.propagateDistance(border, labels, width, height);
+
+        // Core: pixels whose centre is a brush radius from the region's edge
+        // (half a pixel closer than the neighbour's centre), so the whole brush
+        // fits. Reach: within a brush radius of the core
+        const reach = new Float32Array(size).fill(Infinity);
+        const hasCore = new Set();
+        for (let i = 0; i < size; i++) {
+            if (border[i] - 0.5 >= radius) {
+                reach[i] = 0;
+                hasCore.add(labels[i]);
+            }
+        }
+        // Brush wider than every region: nothing would be left to paint
+        if (hasCore.size === 0) return { regions: 0, parts: 0 };
+        this.propagateDistance(reach, labels, width, height);
+
+        const removed = new Set();
+        const sliver = new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            if (reach[i] <= radius) continue;
+            sliver[i] = 1;
+            if (!hasCore.has(labels[i])) removed.add(labels[i]);
+        }
+
+        // Clear narrow parts that stick out more than a brush width past the
+        // core; shallower ones are just the rounded-off corners of the opening
+        let parts = 0;
+        for (let start = 0; start < size; start++) {
+            if (sliver[start] !== 1) continue;
+            const label = labels[start];
+
+            const pixels = [start];
+            sliver[start] = 2;
+            let depth = reach[start];
+            for (let k = 0; k < pixels.length; k++) {
+                const i = pixels[k];
+                const x = i % width;
+                const next = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+                next.forEach(n => {
+                    if (n >= 0 && n < size && sliver[n] === 1 && labels[n] === label) {
+                        sliver[n] = 2;
+                        pixels.push(n);
+                        depth = Math.max(depth, reach[n]);
+                    }
+                });
+            }
+
+            if (removed.has(label)) {
+                pixels.forEach(i => { labels[i] = 0; });
+            } else if (depth > radius + minWidth) {
+                parts++;
+                pixels.forEach(i => { labels[i] = 0; });
+            }
+        }
+
+        return { regions: removed.size, parts };
+    }
+
+    /**
+     * Two-pass chamfer distance transform that only travels between pixels
+     * of the same region, so distances follow the region's shape
+     * @param {Float32Array} dist - Seeds (0 or known distance) and Infinity elsewhere (modified in place)
+     * @param {Int32Array} labels - Label map
+     * @param {number} width
+     * @param {number} height
+     * @param {number} rounds - Forward/backward sweeps; more settle winding shapes
      */
-    filterSmallRegions(regions, minSize) {
-        return regions.filter(r => r.area >= minSize);
+    propagateDistance(dist, labels, width, height, rounds = 2) {
+        const DIAGONAL = Math.SQRT2;
+        const relax = (i, n, cost) => {
+            if (labels[n] === labels[i] && dist[n] + cost < dist[i]) dist[i] = dist[n] + cost;
+        };
+
+        for (let round = 0; round < rounds; round++) {
+            for (let y = 0, i = 0; y < height; y++) {
+                for (let x = 0; x < width; x++, i++) {
+                    if (x > 0) relax(i, i - 1, 1);
+                    if (y > 0) {
+                        relax(i, i - width, 1);
+                        if (x > 0) relax(i, i - width - 1, DIAGONAL);
+                        if (x < width - 1) relax(i, i - width + 1, DIAGONAL);
+                    }
+                }
+            }
+            for (let y = height - 1, i = width * height - 1; y >= 0; y--) {
+                for (let x = width - 1; x >= 0; x--, i--) {
+                    if (x < width - 1) relax(i, i + 1, 1);
+                    if (y < height - 1) {
+                        relax(i, i + width, 1);
+                        if (x < width - 1) relax(i, i + width + 1, DIAGONAL);
+                        if (x > 0) relax(i, i + width - 1, DIAGONAL);
+                    }
+                }
+            }
+        }
     }
 
     /**
@@ -80,6 +309,109 @@ class RegionExtractor {
         };
     }
 
+    /**
+     * Calculate signed area of a closed contour (shoelace formula).
+     * The sign gives the winding direction: outer rings from BoundaryGraph
+     * (region on the left, y axis down) come out negative, holes positive.
+     * @param {Array} contour
+     * @returns {number}
+     */
+    calculateSignedArea(contour) {
+        let area = 0;
+        for (let i = 0; i < contour.length; i++) {
+            const p1 = contour[i];
+            const p2 = contour[(i + 1) % contour.length];
+            area += p1.x * p2.y - p2.x * p1.y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Calculate area centroid of a closed contour
+     * @param {Array} contour
+     * @returns {{x: number, y: number}}
+     */
+    calculateCentroid(contour) {
+        const area = this.calculateSignedArea(contour);
+        if (area === 0) {
+            // Degenerate ring: average the points instead
+            const sum = contour.reduce((s, p) => ({ x: s.x + p.x, y: s.y + p.y }), { x: 0, y: 0 });
+            return { x: sum.x / contour.length, y: sum.y / contour.length };
+        }
+
+        let cx = 0, cy = 0;
+        for (let i = 0; i < contour.length; i++) {
+            const p1 = contour[i];
+            const p2 = contour[(i + 1) % contour.length];
+            const cross = p1.x * p2.y - p2.x * p1.y;
+            cx += (p1.x + p2.x) * cross;
+            cy += (p1.y + p2.y) * cross;
+        }
+        return { x: cx / (6 * area), y: cy / (6 * area) };
+    }
+
+    /**
+     * Group closed rings into polygons with holes.
+     * Outer rings and holes are told apart by winding (see calculateSignedArea);
+     * each hole goes to the smallest outer ring that contains it.
+     * @param {Array} rings - Arrays of {x, y} points
+     * @returns {Array<{outer: number, holes: number[], area: number}>} Ring indices
+     *   per polygon, with the painted area (outer minus holes)
+     */
+    groupRings(rings) {
+        const areas = rings.map(ring => this.calculateSignedArea(ring));
+        const polygons = [];
+        const holes = [];
+
+        rings.forEach((ring, index) => {
+            if (areas[index] < 0) {
+                polygons.push({ outer: index, holes: [], area: -areas[index] });
+            } else if (areas[index] > 0) {
+                holes.push(index);
+            }
+        });
+
+        holes.forEach(holeIndex => {
+            let best = null;
+            if (polygons.length === 1) {
+                best = polygons[0];
+            } else {
+                // Hole vertices may touch the outer ring, so try several
+                const candidates = rings[holeIndex];
+                polygons.forEach(polygon => {
+                    if (best && polygon.area >= best.area) return;
+                    const outer = rings[polygon.outer];
+                    if (candidates.some(p => this.pointInPolygon(p, outer))) best = polygon;
+                });
+            }
+            if (best) {
+                best.holes.push(holeIndex);
+                best.area -= areas[holeIndex];
+            }
+        });
+
+        return polygons;
+    }
+
+    /**
+     * Even-odd point in polygon test
+     * @param {{x: number, y: number}} point
+     * @param {Array} contour
+     * @returns {boolean}
+     */
+    pointInPolygon(point, contour) {
+        let inside = false;
+        for (let i = 0, j = contour.length - 1; i < contour.length; j = i++) {
+            const a = contour[i];
+            const b = contour[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
     /**
      * Calculate perimeter of contour
      * @param {Array} contour
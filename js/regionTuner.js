@@ -0,0 +1,171 @@
+/* ============================================
+   Region Tuner - Hit a Target Region Count
+   ============================================ */
+
+/**
+ * Searches complexity, number of colours and minimum region size for a
+ * target number of regions, running trial generations on a downscaled
+ * proxy of the image. Region sizes are given in full-resolution pixels and
+ * scaled to the proxy for each trial.
+ *
+ * For a given complexity and colour count the watershed is the same whatever
+ * the minimum region size, so one trial at the smallest allowed size shows
+ * whether the target can be reached at all and which size would keep that
+ * many regions. Complexity (and, for more regions, the colour count) only
+ * moves when it cannot; the size is then refined with a few more trials.
+ */
+class RegionTuner {
+    /**
+     * @param {Function} runTrial - async (options) => processing result, on the proxy image
+     * @param {Object} options
+     * @param {number} options.maxTrials - Most proxy generations per search
+     * @param {number} options.tolerance - Accepted relative distance from the target count
+     * @param {number} options.maxColors - Most colours when colours are tuned
+     */
+    constructor(runTrial, options = {}) {
+        const { maxTrials = 8, tolerance = 0.1, maxColors = 16 } = options;
+
+        this.runTrial = runTrial;
+        this.maxTrials = maxTrials;
+        this.tolerance = tolerance;
+        this.maxColors = maxColors;
+    }
+
+    static get COMPLEXITIES() {
+        return ['low', 'medium', 'high', 'extreme'];
+    }
+
+    /**
+     * Search parameters for the targets
+     * @param {Object} settings - Processing options to start from
+     * @param {Object} targets
+     * @param {number|null} targets.regions - Target number of regions
+     * @param {number|null} targets.smallestRegion - Smallest region in px; defaults to
+     *   settings.minRegionSize, and the search never goes below it
+     * @param {number} targets.scale - Proxy width / full-resolution width
+     * @param {boolean} targets.tuneColors - Whether the colour count may change
+     * @param {Function} onTrial - Called after each trial with { trial, maxTrials, regions, ...params }
+     * @returns {Promise<{colorCount, complexity, minRegionSize, regions: number|null, trials: number, reached: boolean}>}
+     *   regions is the proxy's count for the returned parameters
+     */
+    async tune(settings, targets, onTrial = null) {
+        const { regions: target = null, scale = 1, tuneColors = true } = targets;
+        const floor = targets.smallestRegion > 0 ? targets.smallestRegion : settings.minRegionSize;
+
+        const start = {
+            colorCount: settings.colorCount,
+            complexity: settings.complexity,
+            minRegionSize: floor
+        };
+        if (!(target > 0)) {
+            return { ...start, regions: null, trials: 0, reached: true };
+        }
+
+        const areaScale = scale * scale;
+        const withinTolerance = count => Math.abs(count - target) <= target * this.tolerance;
+
+        let trials = 0;
+        let best = null;
+        const trial = async (params) => {
+            trials++;
+            const result = await this.runTrial({
+                ...settings,
+                ...params,
+                minRegionSize: Math.max(1, Math.round(params.minRegionSize * areaScale))
+            });
+            const count = result.regions.length;
+            if (!best || Math.abs(count - target) < Math.abs(best.regions - target)) {
+                best = { ...params, regions: count };
+            }
+            onTrial && onTrial({ trial: trials, maxTrials: this.maxTrials, regions: count, ...params });
+            return result;
+        };
+
+        let complexityIndex = Math.max(0, RegionTuner.COMPLEXITIES.indexOf(start.complexity));
+        let colorCount = start.colorCount;
+        let direction = 0; // +1 after moving finer, -1 after moving coarser
+
+        // Colours only go up, when even extreme complexity gives too few regions;
+        // fewer regions come from a larger minimum size rather than fewer colours
+        const step = (towards) => {
+            const next = complexityIndex + towards;
+            if (next >= 0 && next < RegionTuner.COMPLEXITIES.length) {
+                complexityIndex = next;
+                return true;
+            }
+            if (!tuneColors || towards < 0) return false;
+            const colors = Math.max(colorCount, Math.min(this.maxColors, colorCount + 2));
+            if (colors === colorCount) return false;
+            colorCount = colors;
+            return true;
+        };
+
+        // Size that keeps about `target` regions, in full-resolution pixels
+        const sizeFor = result => {
+            const areas = result.regions.map(r => r.area / areaScale).sort((a, b) => b - a);
+            return Math.max(floor, areas[target - 1]);
+        };
+
+        // Refine the size at one complexity: region count falls roughly as a
+        // power of the size, so step along the line through the last two
+        // trials in log-log space
+        const refine = async (params, result) => {
+            const count = result.regions.length;
+            let size = sizeFor(result);
+            let previous = { size: floor, count };
+            while (trials < this.maxTrials) {
+                const refined = await trial({ ...params, minRegionSize: Math.round(size) });
+                const refinedCount = refined.regions.length;
+                if (withinTolerance(refinedCount)) break;
+
+                const slope = (Math.log(refinedCount) - Math.log(previous.count)) /
+                    (Math.log(size) - Math.log(previous.size));
+                previous = { size, count: refinedCount };
+                size = Number.isFinite(slope) && slope < 0
+                    ? Math.exp(Math.log(size) + (Math.log(target) - Math.log(refinedCount)) / slope)
+                    : size * (refinedCount > target ? 1.3 : 0.75);
+                size = Math.max(floor, size);
+                if (Math.round(size) === Math.round(previous.size)) break;
+            }
+        };
+
+        let finer = null; // Trial with too many regions before the last step coarser
+        while (trials < this.maxTrials) {
+            const params = { complexity: RegionTuner.COMPLEXITIES[complexityIndex], colorCount, minRegionSize: floor };
+            const result = await trial(params);
+            const count = result.regions.length;
+            if (withinTolerance(count)) break;
+
+            if (count < target) {
+                // Stepping coarser overshot: the target lies at the finer
+                // complexity with a larger minimum size
+                if (finer) {
+                    await refine(finer.params, finer.result);
+                    break;
+                }
+                // Too few regions even at the smallest size: go finer
+                if (!step(1)) break;
+                direction = 1;
+                continue;
+            }
+
+            // Merging away most of the detail makes blocky templates: go coarser
+            // instead, while enough trials are left to refine the size
+            if (sizeFor(result) > floor * 8 && direction <= 0 && trials <= this.maxTrials - 3 && step(-1)) {
+                direction = -1;
+                finer = { params, result };
+                continue;
+            }
+
+            await refine(params, result);
+            break;
+        }
+
+        return {
+            ...best,
+            minRegionSize: Math.round(best.minRegionSize),
+            trials,
+            reached: withinTolerance(best.regions)
+        };
+    }
+}
@@ -7,7 +7,13 @@ class SVGGenerator {
      * Generate SVG from regions
      * @param {Array} regions - Processed regions
      * @param {Array} palette - Color palette
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options. Pass `edges` (the shared
+     *   border edges from WatershedProcessor) to draw every border exactly once.
+     *   Pass `printSize` (a PrintSize) to size the SVG in physical units; line
+     *   width and number size are then in points. Pass `adjacency` (a
+     *   RegionAdjacencyGraph) to point leader lines towards open space.
+     *   With `familyCodes` the numbers are family codes such as "B3"
+     *   (see PaletteFamilies) instead of colour numbers.
      * @returns {string} SVG string
      */
     generateSVG(regions, palette, options) {
@@ -21,14 +27,27 @@ class SVGGenerator {
             numberOpacity = 1.0,
             showColors = false,
             backgroundColor = '#ffffff',
-            smoothPaths = true
+            smoothPaths = true,
+            edges = null,
+            repeatNumbers = false,
+            numberSpacing = 200,
+            printSize = null,
+            adjacency = null,
+            familyCodes = false
         } = options;
 
+        // Physical size: the viewBox stays in image pixels, point sizes are
+        // converted to those units
+        const physical = printSize ? printSize.resolve(width, height) : null;
+        const unitScale = physical ? physical.unitsPerPoint : 1;
+        const strokeWidth = Math.round(lineWidth * unitScale * 1000) / 1000;
+        const fontSize = Math.round(numberSize * unitScale * 10) / 10;
+
         const svgNS = 'http://www.w3.org/2000/svg';
         const svg = document.createElementNS(svgNS, 'svg');
         svg.setAttribute('xmlns', svgNS);
-        svg.setAttribute('width', width);
-        svg.setAttribute('height', height);
+        svg.setAttribute('width', physical ? printSize.formatLength(physical.width) : width);
+        svg.setAttribute('height', physical ? printSize.formatLength(physical.height) : height);
         svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
 
         // Background
@@ -42,37 +61,104 @@ class SVGGenerator {
         const regionsGroup = document.createElementNS(svgNS, 'g');
         regionsGroup.setAttribute('id', 'regions');
 
-        regions.forEach(region => {
-            const path = this.createRegionPath(region, {
-                fill: showColors ? region.color.hex : 'none',
-                stroke: '#000000',
-                strokeWidth: lineWidth,
-                strokeOpacity: lineOpacity,
-                strokeLinejoin: 'round', // CRITICAL: Prevents double lines at corners
-                strokeLinecap: 'round'
-            }, smoothPaths);
-            regionsGroup.appendChild(path);
-        });
+        if (edges) {
+            // Shared-edge topology: fills come from rings of shared edges,
+            // and every border is stroked exactly once in its own layer
+            const segmentCache = new Map();
+            const edgeById = new Map(edges.map(e => [e.id, e]));
+
+            regions.forEach(region => {
+                const path = this.createRegionPath(region, {
+                    fill: showColors ? region.color.hex : 'none',
+                    stroke: 'none'
+                }, smoothPaths, { edgeById, segmentCache });
+                regionsGroup.appendChild(path);
+            });
+
+            svg.appendChild(regionsGroup);
+
+            const boundariesGroup = document.createElementNS(svgNS, 'g');
+            boundariesGroup.setAttribute('id', 'boundaries');
+            boundariesGroup.setAttribute('fill', 'none');
+            boundariesGroup.setAttribute('stroke', '#000000');
+            boundariesGroup.setAttribute('stroke-width', strokeWidth);
+            if (lineOpacity < 1.0) boundariesGroup.setAttribute('stroke-opacity', lineOpacity);
+            boundariesGroup.setAttribute('stroke-linejoin', 'round');
+            boundariesGroup.setAttribute('stroke-linecap', 'round');
+
+            edges.forEach(edge => {
+                const segments = this.getEdgeSegments(edge, segmentCache, smoothPaths);
+                const path = document.createElementNS(svgNS, 'path');
+                path.setAttribute('d', this.segmentsToPathData(segments, false, true) + (edge.closed ? ' Z' : ''));
+                boundariesGroup.appendChild(path);
+            });
+
+            svg.appendChild(boundariesGroup);
+        } else {
+            regions.forEach(region => {
+                const path = this.createRegionPath(region, {
+                    fill: showColors ? region.color.hex : 'none',
+                    stroke: '#000000',
+                    strokeWidth,
+                    strokeOpacity: lineOpacity,
+                    strokeLinejoin: 'round', // CRITICAL: Prevents double lines at corners
+                    strokeLinecap: 'round'
+                }, smoothPaths);
+                regionsGroup.appendChild(path);
+            });
 
-        svg.appendChild(regionsGroup);
+            svg.appendChild(regionsGroup);
+        }
 
         // Numbers layer
         if (showNumbers) {
+            const labelText = familyCodes ? new PaletteFamilies().codes(palette) : null;
             const numbersGroup = document.createElementNS(svgNS, 'g');
             numbersGroup.setAttribute('id', 'numbers');
 
-            regions.forEach(region => {
+            // Place numbers at each region's pole of inaccessibility, avoiding
+            // overlaps; regions from older results only have a centroid
+            const placements = regions.every(r => r.labelPoint)
+                ? new LabelPlacer().placeLabels(regions, {
+                    width,
+                    height,
+                    maxSize: fontSize,
+                    minSize: Math.max(6, Math.round(numberSize * 0.5)) * unitScale,
+                    repeatSpacing: repeatNumbers ? numberSpacing : 0,
+                    adjacency,
+                    labelText
+                })
+                : regions.map(r => ({ text: (labelText && labelText.get(r.colorId)) || String(r.colorId), x: r.centroid.x, y: r.centroid.y, fontSize, leader: null }));
+
+            const leaders = placements.filter(p => p.leader);
+            if (leaders.length > 0) {
+                const leadersGroup = document.createElementNS(svgNS, 'g');
+                leadersGroup.setAttribute('id', 'leaders');
+                leadersGroup.setAttribute('stroke', '#999999');
+                leadersGroup.setAttribute('stroke-width', Math.max(0.5 * unitScale, strokeWidth / 2));
+                leaders.forEach(p => {
+                    const line = document.createElementNS(svgNS, 'line');
+                    line.setAttribute('x1', p.leader.x1.toFixed(1));
+                    line.setAttribute('y1', p.leader.y1.toFixed(1));
+                    line.setAttribute('x2', p.leader.x2.toFixed(1));
+                    line.setAttribute('y2', p.leader.y2.toFixed(1));
+                    leadersGroup.appendChild(line);
+                });
+                svg.appendChild(leadersGroup);
+            }
+
+            placements.forEach(placement => {
                 const text = document.createElementNS(svgNS, 'text');
-                text.setAttribute('x', region.centroid.x);
-                text.setAttribute('y', region.centroid.y);
-                text.setAttribute('font-size', numberSize);
+                text.setAttribute('x', Math.round(placement.x * 10) / 10);
+                text.setAttribute('y', Math.round(placement.y * 10) / 10);
+                text.setAttribute('font-size', placement.fontSize);
                 text.setAttribute('font-weight', 'bold');
                 text.setAttribute('text-anchor', 'middle');
                 text.setAttribute('dominant-baseline', 'middle');
                 text.setAttribute('fill', '#666666');
                 if (numberOpacity < 1.0) text.setAttribute('fill-opacity', numberOpacity);
                 text.setAttribute('font-family', 'Arial, sans-serif');
-                text.textContent = region.colorId;
+                text.textContent = placement.text;
                 numbersGroup.appendChild(text);
             });
 
@@ -83,19 +169,33 @@ class SVGGenerator {
     }
 
     /**
-     * Create SVG path from region
+     * Create SVG path from region.
+     * Regions with holes or several pieces become one compound path filled
+     * even-odd, so holes stay unpainted and every piece is included.
      * @param {Object} region
      * @param {Object} style
+     * @param {boolean} smoothPaths
+     * @param {{edgeById: Map, segmentCache: Map}} topology - Shared edges to build rings from
      * @returns {SVGPathElement}
      */
-    createRegionPath(region, style, smoothPaths = true) {
+    createRegionPath(region, style, smoothPaths = true, topology = null) {
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
 
-        // Convert contour to SVG path string
-        const pathData = smoothPaths
-            ? this.contourToPathData(region.contour)
-            : this.contourToLinearPath(region.contour);
+        // Convert rings (or the single contour) to SVG path string
+        let pathData;
+        if (topology && region.rings) {
+            pathData = this.ringsToPathData(region.rings, topology.edgeById, topology.segmentCache, smoothPaths);
+        } else {
+            const contours = region.polygons
+                ? region.polygons.flatMap(p => [p.contour, ...p.holes])
+                : [region.contour];
+            pathData = contours.map(contour => smoothPaths
+                ? this.contourToPathData(contour)
+                : this.contourToLinearPath(contour)
+            ).join(' ');
+        }
         path.setAttribute('d', pathData);
+        path.setAttribute('fill-rule', 'evenodd');
 
         // Apply styles
         Object.entries(style).forEach(([key, value]) => {
@@ -153,6 +253,97 @@ class SVGGenerator {
         return pathData;
     }
 
+    /**
+     * Build path data for a region from rings of shared edge references
+     * @param {Array} rings - Arrays of {edgeId, reversed}
+     * @param {Map} edgeById - Edge lookup
+     * @param {Map} segmentCache - Per-edge segments, shared with the boundaries layer
+     * @param {boolean} smoothPaths
+     * @returns {string} SVG path data string
+     */
+    ringsToPathData(rings, edgeById, segmentCache, smoothPaths = true) {
+        return rings.map(ring => {
+            let d = '';
+            ring.forEach((ref, index) => {
+                const segments = this.getEdgeSegments(edgeById.get(ref.edgeId), segmentCache, smoothPaths);
+                d += (index > 0 ? ' ' : '') + this.segmentsToPathData(segments, ref.reversed, index === 0);
+            });
+            return d + ' Z';
+        }).join(' ');
+    }
+
+    /**
+     * Curve segments of one shared edge, computed once and reused by both
+     * regions it separates so their fills line up exactly.
+     * Open edges use Catmull-Rom with pinned endpoints (the curve is the same
+     * in both directions); closed loops wrap around like contourToPathData.
+     * @param {Object} edge - {id, points, closed}
+     * @param {Map} cache
+     * @param {boolean} smoothPaths
+     * @returns {Array} Segments {from, to, cp1?, cp2?}
+     */
+    getEdgeSegments(edge, cache, smoothPaths = true) {
+        if (cache.has(edge.id)) return cache.get(edge.id);
+
+        const points = edge.closed ? edge.points.slice(0, -1) : edge.points;
+        const n = points.length;
+        const segments = [];
+        const count = edge.closed ? n : n - 1;
+
+        const pt = i => edge.closed
+            ? points[(i + n) % n]
+            : points[Math.max(0, Math.min(n - 1, i))];
+
+        // Catmull-Rom tension (0 = straight, 0.5 = standard smooth)
+        const alpha = 0.5;
+
+        for (let i = 0; i < count; i++) {
+            const p1 = pt(i);
+            const p2 = pt(i + 1);
+            if (smoothPaths && n >= 3) {
+                const p0 = pt(i - 1);
+                const p3 = pt(i + 2);
+                segments.push({
+                    from: p1,
+                    to: p2,
+                    cp1: { x: p1.x + (p2.x - p0.x) * alpha / 3, y: p1.y + (p2.y - p0.y) * alpha / 3 },
+                    cp2: { x: p2.x - (p3.x - p1.x) * alpha / 3, y: p2.y - (p3.y - p1.y) * alpha / 3 }
+                });
+            } else {
+                segments.push({ from: p1, to: p2 });
+            }
+        }
+
+        cache.set(edge.id, segments);
+        return segments;
+    }
+
+    /**
+     * Convert edge segments to SVG path commands
+     * @param {Array} segments - From getEdgeSegments
+     * @param {boolean} reversed - Walk the edge backwards
+     * @param {boolean} moveTo - Start with an M command
+     * @returns {string} SVG path data string
+     */
+    segmentsToPathData(segments, reversed = false, moveTo = true) {
+        if (segments.length === 0) return '';
+
+        const ordered = reversed
+            ? segments.slice().reverse().map(s => ({ from: s.to, to: s.from, cp1: s.cp2, cp2: s.cp1 }))
+            : segments;
+
+        const commands = [];
+        if (moveTo) commands.push(`M ${ordered[0].from.x} ${ordered[0].from.y}`);
+        ordered.forEach(s => {
+            if (s.cp1) {
+                commands.push(`C ${s.cp1.x.toFixed(2)} ${s.cp1.y.toFixed(2)}, ${s.cp2.x.toFixed(2)} ${s.cp2.y.toFixed(2)}, ${s.to.x} ${s.to.y}`);
+            } else {
+                commands.push(`L ${s.to.x} ${s.to.y}`);
+            }
+        });
+        return commands.join(' ');
+    }
+
     /**
      * Convert contour array to SVG path data using straight line segments.
      * Produces a geometric polygon look without curve smoothing.
@@ -171,17 +362,65 @@ class SVGGenerator {
     /**
      * Generate color legend as SVG
      * @param {Array} palette
+     * @param {Object} options
+     * @param {Map} options.matches - Catalogue paint per palette id (PaintCatalog.match)
+     * @param {Map} options.recipes - Mixing recipe per palette id (PaintMixer.recipes)
+     * @param {Map} options.estimates - Paint estimate row per palette id (PaintEstimator.estimate)
+     * @param {boolean} options.familyCodes - Group colours by family under a heading
+     *   and show their family codes (PaletteFamilies)
      * @returns {string} SVG string
      */
-    generateLegend(palette) {
-        const itemWidth = 180;
-        const itemHeight = 40;
-        const columns = Math.min(4, palette.length);
-        const rows = Math.ceil(palette.length / columns);
+    generateLegend(palette, options = {}) {
+        const { matches = null, recipes = null, estimates = null, familyCodes = false } = options;
+        const hasMatches = matches && matches.size > 0;
+        const hasRecipes = recipes && recipes.size > 0;
+        const hasEstimates = estimates && estimates.size > 0;
+        const wide = hasMatches || hasRecipes || hasEstimates;
+
+        const itemWidth = wide ? 280 : 180;
+        const matchHeight = hasMatches ? 56 : 40;
+        const baseHeight = matchHeight + (hasEstimates ? 14 : 0);
+
+        // Recipes wrap onto as many lines as the longest one needs
+        const recipeLines = new Map();
+        if (hasRecipes) {
+            palette.forEach(color => {
+                const recipe = recipes.get(color.id);
+                if (recipe) recipeLines.set(color.id, this.wrapRecipe(recipe));
+            });
+        }
+        const maxRecipeLines = Math.max(0, ...[...recipeLines.values()].map(lines => lines.length));
+        const itemHeight = baseHeight + (maxRecipeLines > 0 ? maxRecipeLines * 12 + 4 : 0);
+        const columns = Math.min(wide ? 3 : 4, palette.length);
         const padding = 10;
+        const headingHeight = 18;
+
+        // Each family starts a new row under its name
+        const groups = familyCodes
+            ? new PaletteFamilies().group(palette).map(family => ({
+                heading: family.name,
+                items: family.colors.map(({ color, code }) => ({ color, label: code }))
+            }))
+            : [{ heading: null, items: palette.map(color => ({ color, label: String(color.id) })) }];
+
+        const slots = [];
+        const headings = [];
+        let top = padding;
+        groups.forEach(group => {
+            if (group.heading) {
+                headings.push({ text: group.heading, y: top });
+                top += headingHeight;
+            }
+            group.items.forEach((item, index) => {
+                const col = index % columns;
+                const row = Math.floor(index / columns);
+                slots.push({ ...item, x: col * itemWidth + (col + 1) * padding, y: top + row * (itemHeight + padding) });
+            });
+            top += Math.ceil(group.items.length / columns) * (itemHeight + padding);
+        });
 
         const width = columns * itemWidth + (columns + 1) * padding;
-        const height = rows * itemHeight + (rows + 1) * padding;
+        const height = top;
 
         const svgNS = 'http://www.w3.org/2000/svg';
         const svg = document.createElementNS(svgNS, 'svg');
@@ -197,13 +436,19 @@ class SVGGenerator {
         bg.setAttribute('fill', '#ffffff');
         svg.appendChild(bg);
 
-        // Legend items
-        palette.forEach((color, index) => {
-            const col = index % columns;
-            const row = Math.floor(index / columns);
-            const x = col * itemWidth + (col + 1) * padding;
-            const y = row * itemHeight + (row + 1) * padding;
+        headings.forEach(heading => {
+            const text = document.createElementNS(svgNS, 'text');
+            text.setAttribute('x', padding);
+            text.setAttribute('y', heading.y + 12);
+            text.setAttribute('font-size', 12);
+            text.setAttribute('font-weight', 'bold');
+            text.setAttribute('fill', '#555555');
+            text.textContent = heading.text;
+            svg.appendChild(text);
+        });
 
+        // Legend items
+        slots.forEach(({ color, label, x, y }) => {
             // Item group
             const group = document.createElementNS(svgNS, 'g');
 
@@ -232,11 +477,11 @@ class SVGGenerator {
             const numText = document.createElementNS(svgNS, 'text');
             numText.setAttribute('x', x + 20);
             numText.setAttribute('y', y + 22);
-            numText.setAttribute('font-size', 14);
+            numText.setAttribute('font-size', label.length > 2 ? 11 : 14);
             numText.setAttribute('font-weight', 'bold');
             numText.setAttribute('text-anchor', 'middle');
             numText.setAttribute('fill', '#333333');
-            numText.textContent = color.id;
+            numText.textContent = label;
             group.appendChild(numText);
 
             // Color swatch
@@ -250,6 +495,22 @@ class SVGGenerator {
             swatch.setAttribute('rx', 4);
             group.appendChild(swatch);
 
+            const estimate = hasEstimates ? estimates.get(color.id) : null;
+            if (estimate) {
+                this.appendEstimate(group, PaintEstimator.summary(estimate), x, y + matchHeight);
+            }
+
+            if (recipeLines.has(color.id)) {
+                this.appendRecipe(group, recipeLines.get(color.id), x, y + baseHeight);
+            }
+
+            const match = hasMatches ? matches.get(color.id) : null;
+            if (match) {
+                this.appendPaintMatch(group, match, x, y);
+                svg.appendChild(group);
+                return;
+            }
+
             // Color name
             const nameText = document.createElementNS(svgNS, 'text');
             nameText.setAttribute('x', x + 75);
@@ -276,6 +537,112 @@ class SVGGenerator {
         return new XMLSerializer().serializeToString(svg);
     }
 
+    /**
+     * Legend item text for a matched catalogue paint: paint name and code,
+     * brand, and the palette hex with match quality, plus a chip of the
+     * paint's own colour under the swatch
+     * @param {SVGGElement} group
+     * @param {{paint: Object, deltaE: number, quality: string}} match
+     * @param {number} x
+     * @param {number} y
+     */
+    appendPaintMatch(group, match, x, y) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const { paint } = match;
+
+        const chip = document.createElementNS(svgNS, 'rect');
+        chip.setAttribute('x', x + 40);
+        chip.setAttribute('y', y + 39);
+        chip.setAttribute('width', 30);
+        chip.setAttribute('height', 12);
+        chip.setAttribute('fill', paint.hex);
+        chip.setAttribute('stroke', '#cccccc');
+        chip.setAttribute('rx', 2);
+        group.appendChild(chip);
+
+        const lines = [
+            { text: `${paint.code ? paint.code + ' ' : ''}${paint.name}`, dy: 16, size: 11, weight: '600', fill: '#333333' },
+            { text: paint.brand, dy: 31, size: 9, fill: '#666666' },
+            { text: `dE ${match.deltaE.toFixed(1)} - ${match.quality} match`, dy: 46, size: 9, fill: '#999999', mono: true }
+        ];
+
+        lines.forEach(line => {
+            const text = document.createElementNS(svgNS, 'text');
+            text.setAttribute('x', x + 78);
+            text.setAttribute('y', y + line.dy);
+            text.setAttribute('font-size', line.size);
+            if (line.weight) text.setAttribute('font-weight', line.weight);
+            if (line.mono) text.setAttribute('font-family', 'monospace');
+            text.setAttribute('fill', line.fill);
+            text.textContent = line.text;
+            group.appendChild(text);
+        });
+    }
+
+    /**
+     * Paint estimate line under the swatch area of a legend item
+     * @param {SVGGElement} group
+     * @param {string} summary - From PaintEstimator.summary()
+     * @param {number} x
+     * @param {number} y - Top of the estimate line
+     */
+    appendEstimate(group, summary, x, y) {
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x + 5);
+        text.setAttribute('y', y + 8);
+        text.setAttribute('font-size', 9);
+        text.setAttribute('fill', '#2a6f97');
+        text.textContent = summary;
+        group.appendChild(text);
+    }
+
+    /**
+     * Split a mixing recipe into legend lines at the ' + ' joins,
+     * with the mix accuracy on the last line
+     * @param {{components: Array, text: string, deltaE: number}} recipe
+     * @param {number} maxChars - Characters that fit across a legend item
+     * @returns {Array<string>}
+     */
+    wrapRecipe(recipe, maxChars = 46) {
+        const parts = recipe.text.split(' + ');
+        parts[parts.length - 1] += ` (dE ${recipe.deltaE.toFixed(1)})`;
+
+        const lines = [];
+        let current = 'Mix:';
+        parts.forEach((part, i) => {
+            const next = i === 0 ? `${current} ${part}` : `${current} + ${part}`;
+            if (next.length > maxChars && i > 0) {
+                lines.push(`${current} +`);
+                current = part;
+            } else {
+                current = next;
+            }
+        });
+        lines.push(current);
+        return lines;
+    }
+
+    /**
+     * Recipe lines along the bottom of a legend item
+     * @param {SVGGElement} group
+     * @param {Array<string>} lines - From wrapRecipe()
+     * @param {number} x
+     * @param {number} y - Top of the recipe area
+     */
+    appendRecipe(group, lines, x, y) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        lines.forEach((line, i) => {
+            const text = document.createElementNS(svgNS, 'text');
+            // Continuation lines are indented past 'Mix:'
+            text.setAttribute('x', x + (i === 0 ? 5 : 27));
+            text.setAttribute('y', y + 8 + i * 12);
+            text.setAttribute('font-size', 9);
+            text.setAttribute('fill', '#555555');
+            text.textContent = line;
+            group.appendChild(text);
+        });
+    }
+
     /**
      * Convert SVG to PNG using canvas
      * @param {string} svgString
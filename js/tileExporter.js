@@ -0,0 +1,348 @@
+/* ============================================
+   Tile Exporter - Multi-Page Poster Tiling
+   ============================================ */
+
+class TileExporter {
+    constructor() {
+        this.svgNS = 'http://www.w3.org/2000/svg';
+        this.ptPerMm = 72 / 25.4;
+    }
+
+    /**
+     * Work out the tile grid for a poster
+     * @param {number} sourceWidth - Template width (SVG units)
+     * @param {number} sourceHeight - Template height (SVG units)
+     * @param {Object} options
+     * @param {number} options.posterWidth - Printed poster width in mm
+     * @param {string} options.pageSize - 'a4' | 'letter' | 'a3'
+     * @param {string} options.orientation - 'portrait' | 'landscape'
+     * @param {number} options.margin - Page margin in mm
+     * @param {number} options.overlap - Overlap between neighbouring tiles in mm
+     * @returns {Object} Layout in points
+     */
+    computeLayout(sourceWidth, sourceHeight, options) {
+        const {
+            posterWidth = 600,
+            pageSize = 'a4',
+            orientation = 'portrait',
+            margin = 15,
+            overlap = 10
+        } = options;
+
+        const size = PDFWriter.PAGE_SIZES[pageSize] || PDFWriter.PAGE_SIZES.a4;
+        const landscape = orientation === 'landscape';
+        const pageWidth = landscape ? size.height : size.width;
+        const pageHeight = landscape ? size.width : size.height;
+
+        const marginPt = margin * this.ptPerMm;
+        const printWidth = pageWidth - 2 * marginPt;
+        const printHeight = pageHeight - 2 * marginPt;
+        // Overlap can't eat the whole tile
+        const overlapPt = Math.min(overlap * this.ptPerMm, printWidth / 2, printHeight / 2);
+
+        const scale = posterWidth * this.ptPerMm / sourceWidth; // points per SVG unit
+        const posterWidthPt = sourceWidth * scale;
+        const posterHeightPt = sourceHeight * scale;
+
+        const stepX = printWidth - overlapPt;
+        const stepY = printHeight - overlapPt;
+        const columns = Math.max(1, Math.ceil((posterWidthPt - overlapPt) / stepX));
+        const rows = Math.max(1, Math.ceil((posterHeightPt - overlapPt) / stepY));
+
+        const tiles = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                const x = col * stepX;
+                const y = row * stepY;
+                tiles.push({
+                    row,
+                    col,
+                    name: this.tileName(row, col),
+                    x,
+                    y,
+                    width: Math.min(printWidth, posterWidthPt - x),
+                    height: Math.min(printHeight, posterHeightPt - y)
+                });
+            }
+        }
+
+        return {
+            pageWidth,
+            pageHeight,
+            margin: marginPt,
+            overlap: overlapPt,
+            scale,
+            rows,
+            columns,
+            tiles
+        };
+    }
+
+    /**
+     * Row letter + column number, e.g. 'B3'
+     * @param {number} row
+     * @param {number} col
+     * @returns {string}
+     */
+    tileName(row, col) {
+        let letters = '';
+        let n = row;
+        do {
+            letters = String.fromCharCode(65 + (n % 26)) + letters;
+            n = Math.floor(n / 26) - 1;
+        } while (n >= 0);
+        return `${letters}${col + 1}`;
+    }
+
+    /**
+     * Slice a template SVG into one SVG per tile.
+     * Each tile SVG is a full page in points (width/height in mm) with the
+     * template clipped to the tile, crop marks, overlap guides, the tile
+     * label and a mini assembly map in the margin.
+     * @param {string} svgString - Output of SVGGenerator.generateSVG
+     * @param {Object} options - See computeLayout
+     * @returns {{layout: Object, svgs: Array<{name: string, svg: string}>}}
+     */
+    createTiles(svgString, options = {}) {
+        const source = new DOMParser().parseFromString(svgString, 'image/svg+xml').documentElement;
+        const viewBox = (source.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+        const sourceWidth = viewBox.length === 4 ? viewBox[2] : parseFloat(source.getAttribute('width'));
+        const sourceHeight = viewBox.length === 4 ? viewBox[3] : parseFloat(source.getAttribute('height'));
+
+        const layout = this.computeLayout(sourceWidth, sourceHeight, options);
+        const serializer = new XMLSerializer();
+
+        const svgs = layout.tiles.map((tile, index) => {
+            const svg = this.createTileSVG(source, tile, index, layout);
+            return { name: tile.name, svg: serializer.serializeToString(svg) };
+        });
+
+        return { layout, svgs };
+    }
+
+    /**
+     * Build the page SVG for one tile
+     */
+    createTileSVG(source, tile, index, layout) {
+        const { pageWidth, pageHeight, margin, scale } = layout;
+
+        const svg = this.createElement('svg', {
+            xmlns: this.svgNS,
+            width: `${(pageWidth / this.ptPerMm).toFixed(2)}mm`,
+            height: `${(pageHeight / this.ptPerMm).toFixed(2)}mm`,
+            viewBox: `0 0 ${pageWidth.toFixed(2)} ${pageHeight.toFixed(2)}`
+        });
+
+        svg.appendChild(this.createElement('rect', {
+            width: pageWidth.toFixed(2),
+            height: pageHeight.toFixed(2),
+            fill: '#ffffff'
+        }));
+
+        // Template, clipped to this tile by the nested viewport
+        const content = this.createElement('svg', {
+            x: margin.toFixed(2),
+            y: margin.toFixed(2),
+            width: tile.width.toFixed(2),
+            height: tile.height.toFixed(2),
+            viewBox: [tile.x / scale, tile.y / scale, tile.width / scale, tile.height / scale]
+                .map(v => v.toFixed(3)).join(' ')
+        });
+        Array.from(source.children).forEach(child => {
+            content.appendChild(document.importNode(child, true));
+        });
+        svg.appendChild(content);
+
+        svg.appendChild(this.createOverlapGuides(tile, layout));
+        svg.appendChild(this.createCropMarks(tile, layout));
+        svg.appendChild(this.createTileLabel(tile, index, layout));
+        svg.appendChild(this.createAssemblyMap(tile, layout));
+
+        return svg;
+    }
+
+    /**
+     * Dashed lines where the next tile to the right / below starts
+     */
+    createOverlapGuides(tile, layout) {
+        const { margin, overlap, rows, columns } = layout;
+        const group = this.createElement('g', {
+            id: 'overlap',
+            fill: 'none',
+            stroke: '#888888',
+            'stroke-width': 0.5,
+            'stroke-dasharray': '4 3'
+        });
+
+        if (overlap <= 0) return group;
+
+        const left = margin;
+        const top = margin;
+        const right = margin + tile.width;
+        const bottom = margin + tile.height;
+
+        if (tile.col < columns - 1) {
+            const x = right - overlap;
+            group.appendChild(this.line(x, top, x, bottom));
+        }
+        if (tile.row < rows - 1) {
+            const y = bottom - overlap;
+            group.appendChild(this.line(left, y, right, y));
+        }
+
+        return group;
+    }
+
+    /**
+     * Corner crop marks just outside the tile area
+     */
+    createCropMarks(tile, layout) {
+        const { margin } = layout;
+        const gap = 3;
+        const length = Math.min(margin - gap, 12);
+        const group = this.createElement('g', {
+            id: 'crop-marks',
+            stroke: '#000000',
+            'stroke-width': 0.5
+        });
+
+        const xs = [margin, margin + tile.width];
+        const ys = [margin, margin + tile.height];
+
+        xs.forEach((x, i) => {
+            ys.forEach((y, j) => {
+                const dx = i === 0 ? -1 : 1;
+                const dy = j === 0 ? -1 : 1;
+                group.appendChild(this.line(x + dx * gap, y, x + dx * (gap + length), y));
+                group.appendChild(this.line(x, y + dy * gap, x, y + dy * (gap + length)));
+            });
+        });
+
+        return group;
+    }
+
+    /**
+     * Tile name and position in the top margin, neighbours in the bottom margin
+     */
+    createTileLabel(tile, index, layout) {
+        const { margin, rows, columns, tiles } = layout;
+        const group = this.createElement('g', {
+            id: 'tile-label',
+            fill: '#333333',
+            'font-family': 'Arial, sans-serif'
+        });
+
+        const fontSize = Math.min(12, margin * 0.4);
+        const title = this.createElement('text', {
+            x: margin.toFixed(2),
+            y: (margin * 0.6).toFixed(2),
+            'font-size': fontSize.toFixed(1),
+            'font-weight': 'bold'
+        });
+        title.textContent = `Tile ${tile.name}  (row ${tile.row + 1} of ${rows}, column ${tile.col + 1} of ${columns})  -  page ${index + 1} of ${tiles.length}`;
+        group.appendChild(title);
+
+        const neighbours = [];
+        if (tile.col < columns - 1) neighbours.push(`right: ${this.tileName(tile.row, tile.col + 1)}`);
+        if (tile.row < rows - 1) neighbours.push(`below: ${this.tileName(tile.row + 1, tile.col)}`);
+        if (neighbours.length) {
+            const hint = this.createElement('text', {
+                x: margin.toFixed(2),
+                y: (margin + tile.height + margin * 0.6).toFixed(2),
+                'font-size': (fontSize * 0.8).toFixed(1)
+            });
+            hint.textContent = `Overlaps tile ${neighbours.join(', ')} - glue over the dashed line`;
+            group.appendChild(hint);
+        }
+
+        return group;
+    }
+
+    /**
+     * Small grid of all tiles with this one highlighted, top-right margin
+     */
+    createAssemblyMap(tile, layout) {
+        const { pageWidth, margin, rows, columns } = layout;
+        const maxHeight = margin * 0.7;
+        const maxWidth = margin * 3;
+        const cell = Math.min(maxHeight / rows, maxWidth / columns);
+        const left = pageWidth - margin - cell * columns;
+        const top = (margin - cell * rows) / 2;
+
+        const group = this.createElement('g', {
+            id: 'assembly-map',
+            stroke: '#666666',
+            'stroke-width': 0.3
+        });
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                const current = row === tile.row && col === tile.col;
+                group.appendChild(this.createElement('rect', {
+                    x: (left + col * cell).toFixed(2),
+                    y: (top + row * cell).toFixed(2),
+                    width: cell.toFixed(2),
+                    height: cell.toFixed(2),
+                    fill: current ? '#333333' : '#ffffff'
+                }));
+            }
+        }
+
+        return group;
+    }
+
+    /**
+     * Multi-page PDF, one tile per page
+     * @param {string} svgString - Output of SVGGenerator.generateSVG
+     * @param {Object} options - See computeLayout
+     * @returns {Blob}
+     */
+    exportPDF(svgString, options = {}) {
+        const { svgs } = this.createTiles(svgString, options);
+        return new PDFExporter().exportPages(svgs.map(tile => tile.svg), 'Paint by Numbers Poster');
+    }
+
+    /**
+     * ZIP of per-tile SVGs
+     * @param {string} svgString - Output of SVGGenerator.generateSVG
+     * @param {Object} options - See computeLayout
+     * @param {string} baseName - File name prefix
+     * @returns {Promise<Blob>}
+     */
+    async exportZip(svgString, options = {}, baseName = 'paint-by-numbers') {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded');
+        }
+
+        const { svgs } = this.createTiles(svgString, options);
+        const zip = new JSZip();
+        svgs.forEach(tile => {
+            zip.file(`${baseName}_tile_${tile.name}.svg`, tile.svg);
+        });
+
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    /**
+     * @param {string} tag
+     * @param {Object} attributes
+     * @returns {SVGElement}
+     */
+    createElement(tag, attributes = {}) {
+        const el = document.createElementNS(this.svgNS, tag);
+        Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+        return el;
+    }
+
+    /**
+     * @returns {SVGLineElement}
+     */
+    line(x1, y1, x2, y2) {
+        return this.createElement('line', {
+            x1: x1.toFixed(2),
+            y1: y1.toFixed(2),
+            x2: x2.toFixed(2),
+            y2: y2.toFixed(2)
+        });
+    }
+}
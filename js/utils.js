@@ -125,6 +125,35 @@ const Utils = {
         URL.revokeObjectURL(url);
     },
 
+    /**
+     * Download a Blob as file
+     */
+    downloadBlob(blob, filename) {
+        if (typeof saveAs !== 'undefined') {
+            saveAs(blob, filename);
+            return;
+        }
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Build CSV text from rows of cells (quoted where needed)
+     * @param {Array<Array>} rows
+     * @returns {string}
+     */
+    toCSV(rows) {
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    },
+
     /**
      * Format file size
      * @param {number} bytes
@@ -164,6 +193,105 @@ const Utils = {
         } : null;
     },
 
+    /**
+     * Convert sRGB to CIE Lab (D65)
+     * @param {number} r - 0-255
+     * @param {number} g - 0-255
+     * @param {number} b - 0-255
+     * @returns {{l: number, a: number, b: number}}
+     */
+    rgbToLab(r, g, b) {
+        const linear = (c) => {
+            c /= 255;
+            return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+        };
+        const lr = linear(r);
+        const lg = linear(g);
+        const lb = linear(b);
+
+        const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+        const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / 1.00000;
+        const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+        const f = (t) => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return {
+            l: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    },
+
+    /**
+     * CIEDE2000 colour difference between two Lab colours
+     * @param {{l: number, a: number, b: number}} lab1
+     * @param {{l: number, a: number, b: number}} lab2
+     * @returns {number} Delta E 2000
+     */
+    deltaE2000(lab1, lab2) {
+        const deg = Math.PI / 180;
+        const pow25to7 = 6103515625; // 25^7
+
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const cMean = (c1 + c2) / 2;
+        const cMean7 = cMean * cMean * cMean * cMean * cMean * cMean * cMean;
+        const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + pow25to7)));
+
+        const a1 = lab1.a * (1 + g);
+        const a2 = lab2.a * (1 + g);
+        const cp1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+        const cp2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+
+        let hp1 = (a1 === 0 && lab1.b === 0) ? 0 : Math.atan2(lab1.b, a1) / deg;
+        let hp2 = (a2 === 0 && lab2.b === 0) ? 0 : Math.atan2(lab2.b, a2) / deg;
+        if (hp1 < 0) hp1 += 360;
+        if (hp2 < 0) hp2 += 360;
+
+        const dL = lab2.l - lab1.l;
+        const dC = cp2 - cp1;
+        let dh = 0;
+        if (cp1 * cp2 !== 0) {
+            dh = hp2 - hp1;
+            if (dh > 180) dh -= 360;
+            else if (dh < -180) dh += 360;
+        }
+        const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh * deg / 2);
+
+        const lMean = (lab1.l + lab2.l) / 2;
+        const cpMean = (cp1 + cp2) / 2;
+        let hMean = hp1 + hp2;
+        if (cp1 * cp2 !== 0) {
+            if (Math.abs(hp1 - hp2) <= 180) hMean /= 2;
+            else hMean = hMean < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+        }
+
+        const t = 1
+            - 0.17 * Math.cos((hMean - 30) * deg)
+            + 0.24 * Math.cos(2 * hMean * deg)
+            + 0.32 * Math.cos((3 * hMean + 6) * deg)
+            - 0.20 * Math.cos((4 * hMean - 63) * deg);
+
+        const lMean50 = (lMean - 50) * (lMean - 50);
+        const sL = 1 + 0.015 * lMean50 / Math.sqrt(20 + lMean50);
+        const sC = 1 + 0.045 * cpMean;
+        const sH = 1 + 0.015 * cpMean * t;
+
+        const cpMean7 = cpMean * cpMean * cpMean * cpMean * cpMean * cpMean * cpMean;
+        const rC = 2 * Math.sqrt(cpMean7 / (cpMean7 + pow25to7));
+        const hOffset = (hMean - 275) / 25;
+        const dTheta = 30 * Math.exp(-hOffset * hOffset);
+        const rT = -rC * Math.sin(2 * dTheta * deg);
+
+        const kL = dL / sL;
+        const kC = dC / sC;
+        const kH = dH / sH;
+        return Math.sqrt(kL * kL + kC * kC + kH * kH + rT * kC * kH);
+    },
+
     /**
      * Get color name from RGB (simplified)
      * @param {number} r
@@ -269,59 +397,62 @@ const Utils = {
     }
 };
 
-// OpenCV.js ready callback
-window.onOpenCvReady = function() {
-    console.log('✅ OpenCV.js is ready!');
-    console.log('OpenCV version:', cv.getBuildInformation ? 'Available' : 'N/A');
+// Page-only setup below; inside the pipeline Web Worker only the Utils helpers are used
+if (typeof window !== 'undefined') {
+    // OpenCV.js ready callback
+    window.onOpenCvReady = function() {
+        console.log('✅ OpenCV.js is ready!');
+        console.log('OpenCV version:', cv.getBuildInformation ? 'Available' : 'N/A');
 
-    const badge = document.getElementById('opencvStatus');
-    if (badge) {
-        badge.textContent = 'OpenCV Ready ✓';
-        badge.classList.add('success');
-    }
+        const badge = document.getElementById('opencvStatus');
+        if (badge) {
+            badge.textContent = 'OpenCV Ready ✓';
+            badge.classList.add('success');
+        }
 
-    // Dispatch custom event
-    window.dispatchEvent(new Event('opencv-ready'));
-};
+        // Dispatch custom event
+        window.dispatchEvent(new Event('opencv-ready'));
+    };
 
-// Check OpenCV loading status periodically
-let opencvCheckInterval;
-let opencvCheckAttempts = 0;
-const maxOpenCvCheckAttempts = 30; // 30 seconds timeout
-
-function checkOpenCVStatus() {
-    if (typeof cv !== 'undefined' && cv.Mat) {
-        console.log('✅ OpenCV detected and ready!');
-        clearInterval(opencvCheckInterval);
-        if (typeof window.onOpenCvReady === 'function') {
-            window.onOpenCvReady();
-        }
-    } else {
-        opencvCheckAttempts++;
-        if (opencvCheckAttempts >= maxOpenCvCheckAttempts) {
+    // Check OpenCV loading status periodically
+    let opencvCheckInterval;
+    let opencvCheckAttempts = 0;
+    const maxOpenCvCheckAttempts = 30; // 30 seconds timeout
+
+    function checkOpenCVStatus() {
+        if (typeof cv !== 'undefined' && cv.Mat) {
+            console.log('✅ OpenCV detected and ready!');
             clearInterval(opencvCheckInterval);
-            console.error('❌ OpenCV.js failed to load after 30 seconds');
-            const badge = document.getElementById('opencvStatus');
-            if (badge) {
-                badge.textContent = 'OpenCV Failed to Load';
-                badge.classList.add('error');
-                badge.style.backgroundColor = '#ef4444';
-                badge.style.color = 'white';
+            if (typeof window.onOpenCvReady === 'function') {
+                window.onOpenCvReady();
+            }
+        } else {
+            opencvCheckAttempts++;
+            if (opencvCheckAttempts >= maxOpenCvCheckAttempts) {
+                clearInterval(opencvCheckInterval);
+                console.error('❌ OpenCV.js failed to load after 30 seconds');
+                const badge = document.getElementById('opencvStatus');
+                if (badge) {
+                    badge.textContent = 'OpenCV Failed to Load';
+                    badge.classList.add('error');
+                    badge.style.backgroundColor = '#ef4444';
+                    badge.style.color = 'white';
+                }
+                Utils.showToast('OpenCV.js failed to load. Please refresh the page.', 'error', 10000);
+            } else if (opencvCheckAttempts % 5 === 0) {
+                console.log(`⏳ Waiting for OpenCV.js... (${opencvCheckAttempts}s)`);
             }
-            Utils.showToast('OpenCV.js failed to load. Please refresh the page.', 'error', 10000);
-        } else if (opencvCheckAttempts % 5 === 0) {
-            console.log(`⏳ Waiting for OpenCV.js... (${opencvCheckAttempts}s)`);
         }
     }
-}
 
-// Start checking when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
+    // Start checking when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            console.log('🚀 Starting OpenCV.js load check...');
+            opencvCheckInterval = setInterval(checkOpenCVStatus, 1000);
+        });
+    } else {
         console.log('🚀 Starting OpenCV.js load check...');
         opencvCheckInterval = setInterval(checkOpenCVStatus, 1000);
-    });
-} else {
-    console.log('🚀 Starting OpenCV.js load check...');
-    opencvCheckInterval = setInterval(checkOpenCVStatus, 1000);
+    }
 }
@@ -5,6 +5,8 @@
 class WatershedProcessor {
     constructor() {
         this.quantizer = new ColorQuantizer();
+        this.regionExtractor = new RegionExtractor();
+        this.labelPlacer = new LabelPlacer();
         this.currentStep = 0;
         this.totalSteps = 5;
     }
@@ -12,7 +14,7 @@ class WatershedProcessor {
     /**
      * Main processing pipeline
      * @param {ImageData} imageData - Source image
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options (`signal`: AbortSignal to cancel between steps)
      * @param {Function} onProgress - Progress callback
      * @returns {Promise<Object>} Processing result
      */
@@ -28,11 +30,23 @@ class WatershedProcessor {
             minRegionSize = 100,
             maxSize = 1024,
             geometricStyle = false,
-            preserveDetails = false
+            preserveDetails = false,
+            smallRegionMerge = 'border',
+            minPaintWidth = 0,
+            printSize = null,
+            fixedPalette = null,
+            paletteSubset = false,
+            mergeDeltaE = 0,
+            respendColors = false,
+            importance = 'none',
+            importanceMask = null,
+            detailMask = null,
+            signal = null
         } = options;
 
         try {
             this.updateProgress(onProgress, 0, 'Preprocessing image...');
+            await this.checkpoint(signal);
 
             // Step 1: Preprocess image
             let preprocessed;
@@ -45,11 +59,35 @@ class WatershedProcessor {
             }
 
             this.updateProgress(onProgress, 20, 'Quantizing colors...');
+            await this.checkpoint(signal);
 
-            // Step 2: Color quantization (K-Means in Lab space)
+            // Where the subject is: more palette weight and detail there
+            const weights = new ImportanceMap().build(preprocessed, importance, importanceMask);
+
+            // Painted detail zones, -1 (less) to 1 (more)
+            const detail = detailMask
+                ? new ImportanceMap().fromMask(detailMask, preprocessed.width, preprocessed.height)
+                : null;
+
+            // Step 2: Color quantization (K-Means in Lab space, or nearest
+            // colour of a fixed paint palette)
             let quantized, palette, labels;
+            let colorMerges = null;
             try {
-                const result = this.quantizer.quantize(preprocessed, colorCount);
+                const fixed = fixedPalette && fixedPalette.length > 0;
+                let result = fixed
+                    ? this.quantizer.quantizeToPalette(preprocessed, fixedPalette, paletteSubset ? colorCount : null)
+                    : this.quantizer.quantize(preprocessed, colorCount, weights);
+
+                // Shades k-means split too finely become one colour; paints
+                // chosen by the user are left as they are
+                if (!fixed && mergeDeltaE > 0) {
+                    result = this.quantizer.mergeNearDuplicates(preprocessed, result, {
+                        maxDeltaE: mergeDeltaE,
+                        respend: respendColors
+                    });
+                    colorMerges = result.merges;
+                }
                 quantized = result.quantized;
                 palette = result.palette;
                 labels = result.labels;
@@ -60,11 +98,12 @@ class WatershedProcessor {
             }
 
             this.updateProgress(onProgress, 40, 'Creating markers...');
+            await this.checkpoint(signal, [quantized, labels]);
 
             // Step 3: Create watershed markers from quantized color labels
             let markers;
             try {
-                markers = this.createMarkers(quantized, labels, colorCount, complexity, preserveDetails);
+                markers = this.createMarkers(quantized, labels, palette.length, complexity, preserveDetails, weights, detail);
                 console.log('Markers created');
             } catch (e) {
                 console.error('Marker creation failed:', e);
@@ -74,6 +113,7 @@ class WatershedProcessor {
             }
 
             this.updateProgress(onProgress, 60, 'Applying watershed...');
+            await this.checkpoint(signal, [quantized, labels, markers]);
 
             // Step 4: Apply watershed algorithm
             let watershedMap;
@@ -89,11 +129,16 @@ class WatershedProcessor {
             }
 
             this.updateProgress(onProgress, 80, 'Extracting regions...');
+            await this.checkpoint(signal, [quantized, labels, watershedMap]);
 
             // Step 5: Extract and process regions
-            let regions;
+            let regions, edges, adjacency, labelMap, labelColors, slivers;
             try {
-                regions = this.extractRegions(watershedMap, quantized, palette, minRegionSize, geometricStyle, preserveDetails);
+                const brushWidth = this.brushWidthPixels(minPaintWidth, printSize, preprocessed.width, preprocessed.height);
+                ({ regions, edges, adjacency, labelMap, labelColors, slivers } = this.extractRegions(
+                    watershedMap, quantized, palette, minRegionSize, geometricStyle, preserveDetails, smallRegionMerge, brushWidth,
+                    detail
+                ));
                 console.log('Regions extracted:', regions.length);
             } catch (e) {
                 console.error('Region extraction failed:', e);
@@ -114,7 +159,14 @@ class WatershedProcessor {
 
             return {
                 regions,
+                edges,
+                adjacency,
                 palette,
+                labelMap,
+                labelColors,
+                slivers,
+                colorMerges,
+                detailMap: detail,
                 width: preprocessed.width,
                 height: preprocessed.height
             };
@@ -175,13 +227,8 @@ class WatershedProcessor {
         const rgba = new cv.Mat();
         cv.cvtColor(filtered, rgba, cv.COLOR_RGB2RGBA);
 
-        // Convert to ImageData
-        const canvas = document.createElement('canvas');
-        canvas.width = rgba.cols;
-        canvas.height = rgba.rows;
-        const ctx = canvas.getContext('2d');
-        cv.imshow(canvas, rgba);
-        const result = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        // Convert to ImageData (no canvas, so this also runs inside a Web Worker)
+        const result = new ImageData(new Uint8ClampedArray(rgba.data), rgba.cols, rgba.rows);
 
         console.log('Preprocessing complete:', result.width, 'x', result.height);
 
@@ -195,14 +242,25 @@ class WatershedProcessor {
 
     /**
      * Create watershed markers from quantized color labels
-     * Each connected component of the same color becomes a unique marker
+     * Each connected component of the same color becomes a unique marker.
+     * The work is one pass over the image whatever the number of colors:
+     * eroding every color mask by r is the same as keeping the pixels at
+     * least r away from a color change, which one distance transform gives
+     * for all colors at once. Kept pixels of different colors never touch
+     * (not even diagonally), so one connected-components run labels them all.
+     * With importance weights the erosion varies per pixel, from half the
+     * size on the subject to one and a half times it in the background;
+     * a detail map then scales it by detailScale().
      * @param {cv.Mat} quantized - Quantized color image (RGB)
      * @param {cv.Mat} labels - K-means labels (numPixels x 1)
      * @param {number} numColors - Number of colors
      * @param {string} complexity - 'low' | 'medium' | 'high' | 'extreme'
+     * @param {boolean} preserveDetails
+     * @param {Float32Array|null} weights - Importance per pixel in [0, 1] (ImportanceMap)
+     * @param {Float32Array|null} detail - Painted detail per pixel in [-1, 1]
      * @returns {cv.Mat} Marker image (CV_32S)
      */
-    createMarkers(quantized, labels, numColors, complexity, preserveDetails = false) {
+    createMarkers(quantized, labels, numColors, complexity, preserveDetails = false, weights = null, detail = null) {
         console.log('Creating markers from color labels...');
         const width = quantized.cols;
         const height = quantized.rows;
@@ -219,58 +277,52 @@ class WatershedProcessor {
             erodeSize = Math.max(erodeSize - 1, 1);
         }
 
-        // Create marker image and color mapping
-        const markers = new cv.Mat.zeros(height, width, cv.CV_32S);
-        const markerToColor = {}; // Maps marker label → palette color index (1-based)
-        let nextLabel = 1;
-
-        // For each color, find connected components and assign unique labels
-        for (let colorIdx = 0; colorIdx < numColors; colorIdx++) {
-            // Create binary mask for this color
-            const mask = new cv.Mat.zeros(height, width, cv.CV_8UC1);
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const pixelIdx = y * width + x;
-                    if (labels.intAt(pixelIdx, 0) === colorIdx) {
-                        mask.ucharPtr(y, x)[0] = 255;
-                    }
+        const labelData = labels.data32S;
+
+        // Pixels next to a color change (4-connected) are 0, the rest 255
+        const interior = new cv.Mat(height, width, cv.CV_8UC1, new cv.Scalar(255));
+        const interiorData = interior.data;
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                const color = labelData[i];
+                if (x < width - 1 && labelData[i + 1] !== color) {
+                    interiorData[i] = 0;
+                    interiorData[i + 1] = 0;
                 }
-            }
-
-            // Erode to create sure foreground (shrink regions)
-            if (erodeSize > 0) {
-                const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE,
-                    new cv.Size(erodeSize * 2 + 1, erodeSize * 2 + 1));
-                cv.erode(mask, mask, kernel);
-                kernel.delete();
-            }
-
-            // Find connected components in this color mask
-            const colorLabels = new cv.Mat();
-            const numComponents = cv.connectedComponents(mask, colorLabels, 8, cv.CV_32S);
-
-            // Assign unique marker labels and track color mapping
-            for (let comp = 1; comp < numComponents; comp++) {
-                const markerLabel = nextLabel + comp - 1;
-                markerToColor[markerLabel] = colorIdx + 1; // 1-based palette index
-            }
-
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const component = colorLabels.intAt(y, x);
-                    if (component > 0) {
-                        markers.intPtr(y, x)[0] = nextLabel + component - 1;
-                    }
+                if (y < height - 1 && labelData[i + width] !== color) {
+                    interiorData[i] = 0;
+                    interiorData[i + width] = 0;
                 }
             }
+        }
 
-            nextLabel += numComponents - 1;
-
-            mask.delete();
-            colorLabels.delete();
+        // Sure foreground: at least erodeSize from the nearest color change
+        // (never less than 1, which keeps different colors apart)
+        const distance = new cv.Mat();
+        cv.distanceTransform(interior, distance, cv.DIST_L2, 3);
+        const distanceData = distance.data32F;
+        for (let i = 0; i < interiorData.length; i++) {
+            let erode = weights ? erodeSize * (1.5 - weights[i]) : erodeSize;
+            if (detail) erode *= this.detailScale(detail[i]);
+            interiorData[i] = distanceData[i] >= Math.max(1, erode) ? 255 : 0;
+        }
+        distance.delete();
+
+        const markers = new cv.Mat();
+        const numMarkers = cv.connectedComponents(interior, markers, 8, cv.CV_32S);
+        interior.delete();
+
+        // Maps marker label → palette color index (1-based)
+        const markerToColor = {};
+        const markerData = markers.data32S;
+        for (let i = 0; i < markerData.length; i++) {
+            const marker = markerData[i];
+            if (marker > 0 && markerToColor[marker] === undefined) {
+                markerToColor[marker] = labelData[i] + 1;
+            }
         }
 
-        console.log(`Created ${nextLabel - 1} unique markers from ${numColors} colors`);
+        console.log(`Created ${numMarkers - 1} unique markers from ${numColors} colors`);
         console.log('Complexity:', complexity, '(erode:', erodeSize, 'px)');
 
         // Store the color map on the instance for use in extractRegions
@@ -341,12 +393,11 @@ class WatershedProcessor {
             // Check result
             let minLabel = Infinity;
             let maxLabel = -Infinity;
-            for (let y = 0; y < markers32.rows; y++) {
-                for (let x = 0; x < markers32.cols; x++) {
-                    const label = markers32.intAt(y, x);
-                    if (label < minLabel) minLabel = label;
-                    if (label > maxLabel) maxLabel = label;
-                }
+            const resultData = markers32.data32S;
+            for (let i = 0; i < resultData.length; i++) {
+                const label = resultData[i];
+                if (label < minLabel) minLabel = label;
+                if (label > maxLabel) maxLabel = label;
             }
             console.log(`Watershed labels range: ${minLabel} to ${maxLabel}`);
         } catch (e) {
@@ -368,188 +419,402 @@ class WatershedProcessor {
      * @param {Array} palette - Color palette
      * @param {number} minRegionSize - Minimum region size in pixels
      * @param {boolean} geometricStyle - Use aggressive polygon simplification
-     * @returns {Array} Array of regions
+     * @param {boolean} preserveDetails - Lighter label map smoothing
+     * @param {string} smallRegionMerge - 'border' or 'color' (see RegionExtractor.filterSmallRegions)
+     * @param {number} minPaintWidth - Brush width in pixels; narrower parts of regions
+     *   are given to their neighbours (0 = off)
+     * @param {Float32Array|null} detail - Painted detail per pixel in [-1, 1] (see buildRegions)
+     * @returns {{regions: Array, edges: Array, adjacency: RegionAdjacencyGraph, labelMap: Int32Array,
+     *   labelColors: Int32Array, slivers: {regions: number, parts: number, width: number}|null}}
+     *   Regions, the shared border edges they reference and which regions touch,
+     *   plus the final label map and palette id per label so regions can be
+     *   rebuilt without the watershed, and how many slivers were removed
      */
-    extractRegions(watershedMap, quantized, palette, minRegionSize, geometricStyle = false, preserveDetails = false) {
-        const regions = [];
+    extractRegions(watershedMap, quantized, palette, minRegionSize, geometricStyle = false, preserveDetails = false,
+        smallRegionMerge = 'border', minPaintWidth = 0, detail = null) {
         const width = watershedMap.cols;
         const height = watershedMap.rows;
         const markerToColor = this._markerToColor || {};
+        const labelData = watershedMap.data32S;
+
+        // Give watershed ridge pixels to a neighbour so no pixel is left without a region
+        this.fillWatershedLines(labelData, width, height);
 
-        // Get unique labels (excluding -1 which is boundary)
+        // Pixel count and bounding box per label in a single pass
+        const boxes = this.computeLabelBoxes(labelData, width, height);
         const uniqueLabels = new Set();
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const label = watershedMap.intAt(y, x);
-                if (label > 0) {
-                    uniqueLabels.add(label);
-                }
-            }
-        }
+        boxes.forEach((box, label) => {
+            if (label > 0 && box.count > 0) uniqueLabels.add(label);
+        });
 
         console.log(`Found ${uniqueLabels.size} regions from watershed`);
 
-        // When preserveDetails is active, merge small regions into neighbors
-        // instead of deleting them
-        if (preserveDetails) {
-            // Collect pixel counts per label
-            const labelCounts = {};
-            uniqueLabels.forEach(l => { labelCounts[l] = 0; });
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const l = watershedMap.intAt(y, x);
-                    if (l > 0) labelCounts[l]++;
-                }
+        // Smooth the whole label map once instead of each region mask on its own,
+        // so neighbouring regions keep agreeing on where their border is
+        this.smoothLabelMap(labelData, width, height, preserveDetails ? 1 : 2);
+
+        // Slivers narrower than the brush go to the regions around them
+        const slivers = this.absorbSlivers(labelData, width, height, minPaintWidth);
+
+        // Palette id per label, clamped to the palette
+        const labelColors = new Int32Array(boxes.length);
+        for (let label = 1; label < labelColors.length; label++) {
+            const colorId = markerToColor[label] || 1;
+            labelColors[label] = colorId >= 1 && colorId <= palette.length ? colorId : 1;
+        }
+
+        // Copy out of the OpenCV heap, which is freed with the Mat
+        const labelMap = labelData.slice();
+        const { regions, edges, adjacency } = this.buildRegions(
+            labelMap, width, height, labelColors, palette, minRegionSize, geometricStyle, smallRegionMerge, detail
+        );
+
+        return { regions, edges, adjacency, labelMap, labelColors, slivers };
+    }
+
+    /**
+     * Give regions and parts narrower than the brush to the regions around
+     * them (see RegionExtractor.filterSlivers). Also run by the palette and
+     * region editors before tracing regions again.
+     * @param {Int32Array} labelData - Label map (modified in place)
+     * @param {number} width
+     * @param {number} height
+     * @param {number} minPaintWidth - Brush width in pixels (below 1 = off)
+     * @returns {{regions: number, parts: number, width: number}|null} What was absorbed, null when off
+     */
+    absorbSlivers(labelData, width, height, minPaintWidth) {
+        if (!(minPaintWidth >= 1)) return null;
+
+        const slivers = { ...this.regionExtractor.filterSlivers(labelData, width, height, minPaintWidth), width: minPaintWidth };
+        this.fillWatershedLines(labelData, width, height);
+        console.log(`Removed ${slivers.regions} sliver regions and ${slivers.parts} narrow parts`);
+        return slivers;
+    }
+
+    /**
+     * How a painted detail value scales sizes: erosion, minimum region size
+     * and simplification are halved where "more detail" is painted (1) and
+     * doubled where "less detail" is (-1)
+     * @param {number} value - Detail in [-1, 1]
+     * @returns {number}
+     */
+    detailScale(value) {
+        return Math.pow(2, -value);
+    }
+
+    /**
+     * Convert a brush width on paper to template pixels
+     * @param {number} widthMm - Brush width in mm (0 = no minimum)
+     * @param {PrintSize|Object|null} printSize - Print size, or its fields after a worker message
+     * @param {number} width - Template width in px
+     * @param {number} height - Template height in px
+     * @returns {number} Brush width in px, 0 when there is no width or print size
+     */
+    brushWidthPixels(widthMm, printSize, width, height) {
+        if (!(widthMm > 0) || !printSize) return 0;
+
+        const resolved = new PrintSize(printSize).resolve(width, height);
+        if (!resolved) return 0;
+        return widthMm * width / (resolved.widthIn * 25.4);
+    }
+
+    /**
+     * Trace regions and their shared border edges from a finished label map,
+     * after merging regions below the minimum size into a neighbour so every
+     * pixel belongs to a region. Also used by the palette and region editors
+     * to rebuild regions after an edit.
+     * @param {Int32Array} labelData - Label per pixel (> 0; small regions are merged in place)
+     * @param {number} width
+     * @param {number} height
+     * @param {Int32Array} labelColors - Palette id (1-based) per label
+     * @param {Array} palette
+     * @param {number} minRegionSize - Minimum region size in pixels
+     * @param {boolean} geometricStyle - Use aggressive polygon simplification
+     * @param {string} smallRegionMerge - 'border' or 'color' (see RegionExtractor.filterSmallRegions)
+     * @param {Float32Array|null} detail - Painted detail per pixel in [-1, 1]: the
+     *   minimum size of each region and the simplification of each border are
+     *   scaled by detailScale() where they lie
+     * @returns {{regions: Array, edges: Array, adjacency: RegionAdjacencyGraph}}
+     */
+    buildRegions(labelData, width, height, labelColors, palette, minRegionSize, geometricStyle = false,
+        smallRegionMerge = 'border', detail = null) {
+        const regions = [];
+
+        const adjacency = RegionAdjacencyGraph.fromLabelMap(labelData, width, height);
+
+        // Minimum size per region from its mean detail before merging
+        let minSize = minRegionSize;
+        if (detail) {
+            const detailSums = new Map();
+            for (let i = 0; i < labelData.length; i++) {
+                detailSums.set(labelData[i], (detailSums.get(labelData[i]) || 0) + detail[i]);
             }
+            const minSizes = new Map();
+            detailSums.forEach((sum, label) => {
+                minSizes.set(label, minRegionSize * this.detailScale(sum / adjacency.size(label)));
+            });
+            minSize = label => minSizes.get(label) || minRegionSize;
+        }
 
-            // Sort small labels by size ascending so smallest merge first
-            const smallLabels = [...uniqueLabels]
-                .filter(l => labelCounts[l] < minRegionSize)
-                .sort((a, b) => labelCounts[a] - labelCounts[b]);
-
-            const dilateKernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(3, 3));
-
-            for (const smallLabel of smallLabels) {
-                // Re-check count (may have grown from earlier merges)
-                let count = 0;
-                const mask = new cv.Mat.zeros(height, width, cv.CV_8UC1);
-                for (let y = 0; y < height; y++) {
-                    for (let x = 0; x < width; x++) {
-                        if (watershedMap.intAt(y, x) === smallLabel) {
-                            mask.ucharPtr(y, x)[0] = 255;
-                            count++;
-                        }
-                    }
-                }
-                if (count >= minRegionSize || count === 0) {
-                    mask.delete();
-                    continue;
-                }
+        const merged = this.regionExtractor.filterSmallRegions(labelData, adjacency, minSize, {
+            mergeInto: smallRegionMerge,
+            labelColors,
+            palette
+        });
+        if (merged > 0) console.log(`Merged ${merged} small regions into neighbours`);
+
+        // Trace shared borders: each border segment is stored once
+        const graph = new BoundaryGraph(labelData, width, height).build();
+        const baseEpsilon = geometricStyle ? 4.0 : 1.5;
+        const epsilon = detail
+            ? edge => {
+                // Detail at the middle of the edge (points are on pixel corners)
+                const mid = edge.points[Math.floor(edge.points.length / 2)];
+                const x = Math.min(width - 1, Math.max(0, Math.floor(mid.x)));
+                const y = Math.min(height - 1, Math.max(0, Math.floor(mid.y)));
+                return baseEpsilon * this.detailScale(detail[y * width + x]);
+            }
+            : baseEpsilon;
+        graph.simplify(epsilon, this.regionExtractor);
 
-                // Dilate mask by 1px to find neighbors
-                const dilated = new cv.Mat();
-                cv.dilate(mask, dilated, dilateKernel);
-
-                // Count neighbor labels in the dilated border
-                const neighborCounts = {};
-                for (let y = 0; y < height; y++) {
-                    for (let x = 0; x < width; x++) {
-                        if (dilated.ucharPtr(y, x)[0] === 255 && mask.ucharPtr(y, x)[0] === 0) {
-                            const nl = watershedMap.intAt(y, x);
-                            if (nl > 0 && nl !== smallLabel) {
-                                neighborCounts[nl] = (neighborCounts[nl] || 0) + 1;
-                            }
-                        }
-                    }
-                }
+        const keptLabels = new Set();
+        graph.pixelCounts.forEach((count, label) => {
+            if (label > 0 && count > 0) keptLabels.add(label);
+        });
 
-                dilated.delete();
-                mask.delete();
+        // Extract each region as rings of shared edges
+        keptLabels.forEach(label => {
+            const rings = graph.getRings(label);
+            if (rings.length === 0) return;
+
+            // Group rings into polygons: outer rings plus the holes they enclose.
+            // A label can come out as several polygons when it is split into pieces.
+            const ringPoints = rings.map(ring => graph.ringToPoints(ring));
+            const groups = this.regionExtractor.groupRings(ringPoints);
+            if (groups.length === 0) return;
+
+            // Every piece gets its own pole, so each can carry a number
+            const polygons = groups.map(group => {
+                const polygon = {
+                    contour: ringPoints[group.outer],
+                    holes: group.holes.map(h => ringPoints[h]),
+                    area: group.area
+                };
+                polygon.labelPoint = this.labelPlacer.findPole(polygon);
+                return polygon;
+            });
+            const orderedRings = [];
+            groups.forEach(group => {
+                orderedRings.push(rings[group.outer]);
+                group.holes.forEach(h => orderedRings.push(rings[h]));
+            });
 
-                // Find most frequent neighbor
-                let bestNeighbor = 0;
-                let bestCount = 0;
-                for (const [nl, nc] of Object.entries(neighborCounts)) {
-                    if (nc > bestCount) {
-                        bestCount = nc;
-                        bestNeighbor = parseInt(nl);
-                    }
-                }
+            // Largest piece drives stats and the region's main number
+            const main = polygons.reduce((best, p) => (p.area > best.area ? p : best));
+            const contour = main.contour;
+            const area = polygons.reduce((sum, p) => sum + p.area, 0);
 
-                if (bestNeighbor > 0) {
-                    // Reassign all pixels of smallLabel to bestNeighbor
-                    for (let y = 0; y < height; y++) {
-                        for (let x = 0; x < width; x++) {
-                            if (watershedMap.intAt(y, x) === smallLabel) {
-                                watershedMap.intPtr(y, x)[0] = bestNeighbor;
-                            }
-                        }
-                    }
-                    uniqueLabels.delete(smallLabel);
-                }
+            // Color ID from the label's marker (direct, no guessing)
+            const colorId = labelColors[label] || 1;
+
+            // Calculate centroid, and the point farthest from the border for the number
+            const center = this.regionExtractor.calculateCentroid(contour);
+            const centroid = {
+                x: Math.round(center.x),
+                y: Math.round(center.y)
+            };
+            const labelPoint = main.labelPoint;
+
+            regions.push({
+                id: label,
+                contour,
+                polygons,
+                rings: orderedRings,
+                centroid,
+                labelPoint,
+                area,
+                colorId,
+                color: palette[colorId - 1]
+            });
+        });
+
+        // Keep every edge that borders at least one region
+        const edges = graph.edges.filter(e => keptLabels.has(e.left) || keptLabels.has(e.right));
+
+        console.log(`Extracted ${regions.length} valid regions, ${edges.length} shared edges`);
+        return { regions, edges, adjacency };
+    }
+
+    /**
+     * Pixel count and bounding box per label in one pass over the label map
+     * @param {Int32Array} labels - Label map
+     * @param {number} width
+     * @param {number} height
+     * @param {number} numLabels - Labels are 0..numLabels-1 (defaults to max label + 1)
+     * @returns {Array<{count, minX, minY, maxX, maxY}>} Indexed by label
+     */
+    computeLabelBoxes(labels, width, height, numLabels = 0) {
+        if (!numLabels) {
+            for (let i = 0; i < labels.length; i++) {
+                if (labels[i] >= numLabels) numLabels = labels[i] + 1;
             }
+        }
 
-            dilateKernel.delete();
-            console.log(`After merging small regions: ${uniqueLabels.size} regions remain`);
+        const boxes = new Array(numLabels);
+        for (let l = 0; l < numLabels; l++) {
+            boxes[l] = { count: 0, minX: width, minY: height, maxX: -1, maxY: -1 };
         }
 
-        // Extract each region
-        uniqueLabels.forEach(label => {
-            // Create mask for this region
-            const mask = new cv.Mat.zeros(height, width, cv.CV_8UC1);
-            let pixelCount = 0;
-
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    if (watershedMap.intAt(y, x) === label) {
-                        mask.ucharPtr(y, x)[0] = 255;
-                        pixelCount++;
-                    }
-                }
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                const label = labels[i];
+                if (label < 0 || label >= numLabels) continue;
+                const box = boxes[label];
+                box.count++;
+                if (x < box.minX) box.minX = x;
+                if (x > box.maxX) box.maxX = x;
+                if (y < box.minY) box.minY = y;
+                if (y > box.maxY) box.maxY = y;
             }
+        }
 
-            // Skip if region is too small (only applies when not preserveDetails,
-            // since preserveDetails already merged small regions above)
-            if (pixelCount < minRegionSize) {
-                mask.delete();
-                return;
-            }
+        return boxes;
+    }
 
-            // Morphological smoothing: close then open to remove pixel jaggedness
-            const morphSize = preserveDetails ? 3 : 5;
-            const morphKernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(morphSize, morphSize));
-            cv.morphologyEx(mask, mask, cv.MORPH_CLOSE, morphKernel);
-            cv.morphologyEx(mask, mask, cv.MORPH_OPEN, morphKernel);
-            morphKernel.delete();
-
-            // Find contour of this region
-            const contours = new cv.MatVector();
-            const hierarchy = new cv.Mat();
-            cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-
-            if (contours.size() > 0) {
-                // Simplify contour with Douglas-Peucker approximation
-                const rawContour = contours.get(0);
-                const epsilon = geometricStyle ? 4.0 : 1.5;
-                const contour = new cv.Mat();
-                cv.approxPolyDP(rawContour, contour, epsilon, true);
-                rawContour.delete();
-
-                // Get color ID from marker-to-color mapping (direct, no guessing)
-                let colorId = markerToColor[label] || 1;
-
-                // Clamp to valid palette range
-                if (colorId < 1 || colorId > palette.length) colorId = 1;
-
-                // Calculate centroid for number placement
-                const moments = cv.moments(contour);
-                const centroid = {
-                    x: Math.round(moments.m10 / moments.m00),
-                    y: Math.round(moments.m01 / moments.m00)
-                };
+    /**
+     * Assign watershed ridge pixels (-1) and unlabelled pixels to a
+     * neighbouring region so the label map is a complete partition
+     * @param {Int32Array} labels - Label map (modified in place)
+     * @param {number} width
+     * @param {number} height
+     */
+    fillWatershedLines(labels, width, height) {
+        let pending = [];
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] <= 0) pending.push(i);
+        }
+
+        while (pending.length > 0) {
+            const filled = [];
+            const remaining = [];
+            pending.forEach(i => {
+                const x = i % width;
+                const y = (i - x) / width;
+                let label = 0;
+                if (x > 0 && labels[i - 1] > 0) label = labels[i - 1];
+                else if (x < width - 1 && labels[i + 1] > 0) label = labels[i + 1];
+                else if (y > 0 && labels[i - width] > 0) label = labels[i - width];
+                else if (y < height - 1 && labels[i + width] > 0) label = labels[i + width];
+
+                if (label > 0) filled.push([i, label]);
+                else remaining.push(i);
+            });
+
+            // Nothing labelled anywhere: give up rather than loop forever
+            if (filled.length === 0) break;
 
-                // Calculate area
-                const area = cv.contourArea(contour);
+            // Apply after the sweep so lines are filled evenly from both sides
+            filled.forEach(([i, label]) => { labels[i] = label; });
+            pending = remaining;
+        }
+    }
+
+    /**
+     * Give touching labels of the same colour one label, so the border
+     * between them disappears. Only pairs where at least one label is in
+     * `changed` are joined; regions that were split on purpose stay apart.
+     * @param {Int32Array} labels - Label map (modified in place)
+     * @param {number} width
+     * @param {number} height
+     * @param {Int32Array} labelColors - Palette id per label
+     * @param {Set<number>} changed - Labels whose colour changed
+     * @returns {boolean} Whether any labels were joined
+     */
+    joinSameColorLabels(labels, width, height, labelColors, changed) {
+        // Union-find over labels, the smallest label becoming the root
+        const parent = new Int32Array(labelColors.length);
+        for (let i = 0; i < parent.length; i++) parent[i] = i;
+        const find = (label) => {
+            while (parent[label] !== label) {
+                parent[label] = parent[parent[label]];
+                label = parent[label];
+            }
+            return label;
+        };
+
+        let joined = false;
+        const join = (a, b) => {
+            if (a === b || labelColors[a] !== labelColors[b]) return;
+            if (!changed.has(a) && !changed.has(b)) return;
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) return;
+            parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+            joined = true;
+        };
 
-                regions.push({
-                    id: label,
-                    contour: this.contourToArray(contour),
-                    centroid,
-                    area,
-                    colorId,
-                    color: palette[colorId - 1]
-                });
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i++) {
+                if (x < width - 1) join(labels[i], labels[i + 1]);
+                if (y < height - 1) join(labels[i], labels[i + width]);
+            }
+        }
 
-                contour.delete();
+        if (joined) {
+            for (let i = 0; i < labels.length; i++) {
+                labels[i] = find(labels[i]);
             }
+        }
+        return joined;
+    }
 
-            mask.delete();
-            contours.delete();
-            hierarchy.delete();
-        });
+    /**
+     * Majority (mode) filter over the label map to remove pixel jaggedness.
+     * Replaces per-region close/open so all borders are smoothed consistently.
+     * @param {Int32Array} labels - Label map (modified in place)
+     * @param {number} width
+     * @param {number} height
+     * @param {number} iterations
+     */
+    smoothLabelMap(labels, width, height, iterations = 1) {
+        const neighbours = new Int32Array(9);
+        for (let iter = 0; iter < iterations; iter++) {
+            const source = labels.slice();
+            for (let y = 1; y < height - 1; y++) {
+                for (let x = 1; x < width - 1; x++) {
+                    const i = y * width + x;
+                    let n = 0;
+                    for (let oy = -width; oy <= width; oy += width) {
+                        neighbours[n++] = source[i + oy - 1];
+                        neighbours[n++] = source[i + oy];
+                        neighbours[n++] = source[i + oy + 1];
+                    }
 
-        console.log(`Extracted ${regions.length} valid regions`);
-        return regions;
+                    // Most frequent label wins; the current label wins ties
+                    let best = source[i];
+                    let bestCount = 0;
+                    for (let a = 0; a < 9; a++) {
+                        if (neighbours[a] === best) bestCount++;
+                    }
+                    // Already a majority: nothing can beat it
+                    if (bestCount >= 5) {
+                        labels[i] = best;
+                        continue;
+                    }
+                    for (let a = 0; a < 9; a++) {
+                        let count = 0;
+                        for (let b = 0; b < 9; b++) {
+                            if (neighbours[b] === neighbours[a]) count++;
+                        }
+                        if (count > bestCount) {
+                            best = neighbours[a];
+                            bestCount = count;
+                        }
+                    }
+                    labels[i] = best;
+                }
+            }
+        }
     }
 
     /**
@@ -594,6 +859,24 @@ class WatershedProcessor {
         return closestId;
     }
 
+    /**
+     * Yield to the event loop between pipeline steps, so progress can paint
+     * and cancel requests can arrive, then stop if the run was cancelled
+     * @param {AbortSignal} signal
+     * @param {Array<cv.Mat>} mats - Matrices to free when cancelling
+     * @returns {Promise<void>}
+     */
+    async checkpoint(signal, mats = []) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        if (signal && signal.aborted) {
+            mats.forEach(mat => mat.delete());
+            const error = new Error('Processing cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
+
     /**
      * Update progress callback
      * @param {Function} callback